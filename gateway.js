@@ -1,4 +1,6 @@
 // BADSEED SOIL - Gateway Controller
+import { connectCard } from './messaging.mjs';
+import { CARDS, UTM_PARAMS, validateEvent } from './schema.mjs';
 
 // ========== CUSTOM CURSOR ==========
 const customCursor = document.getElementById('custom-cursor');
@@ -160,6 +162,7 @@ document.addEventListener('touchstart', (e) => {
     // Don't trigger on menu itself or cards
     if (contextMenu.contains(e.target)) return;
     if (e.target.closest('.card')) return;
+    if (e.target.closest('.consent-prompt')) return;
 
     longPressTimer = setTimeout(() => {
         showContextMenu(0, 0, true); // fullscreen mode for mobile
@@ -194,7 +197,175 @@ if (document.readyState === 'loading') {
     initContextMenu();
 }
 
-document.addEventListener('DOMContentLoaded', () => {
+// ========== CONSENT ==========
+// full      - events carry a session ID and may be stored individually
+// aggregate - cookieless counting only, nothing that identifies the visitor
+// none      - nothing is sent
+const CONSENT_KEY = 'soil_consent';
+const CONSENT_MODES = ['full', 'aggregate', 'none'];
+let consentPrompt = null;
+
+// Do Not Track / Global Privacy Control
+function browserOptedOut() {
+    return navigator.globalPrivacyControl === true
+        || navigator.doNotTrack === '1'
+        || window.doNotTrack === '1';
+}
+
+function getStoredConsent() {
+    try {
+        const mode = localStorage.getItem(CONSENT_KEY);
+        return CONSENT_MODES.includes(mode) ? mode : null;
+    } catch {
+        return null;
+    }
+}
+
+// Effective mode - count-only until the visitor chooses, and never more
+// than count-only when the browser sends a privacy signal
+function getConsentMode() {
+    const stored = getStoredConsent();
+    if (browserOptedOut()) {
+        return stored === 'none' ? 'none' : 'aggregate';
+    }
+    return stored || 'aggregate';
+}
+
+function setConsent(mode) {
+    try {
+        localStorage.setItem(CONSENT_KEY, mode);
+    } catch {}
+    hideConsentPrompt();
+    window.dispatchEvent(new CustomEvent('soil:consent', { detail: { mode: getConsentMode() } }));
+}
+
+function showConsentPrompt() {
+    if (!consentPrompt) return;
+    const current = getConsentMode();
+    consentPrompt.querySelectorAll('[data-consent]').forEach(button => {
+        // Full tracking isn't offered when the browser asked not to be tracked
+        button.hidden = button.dataset.consent === 'full' && browserOptedOut();
+        button.classList.toggle('selected', button.dataset.consent === current);
+    });
+    consentPrompt.classList.remove('hidden');
+}
+
+function hideConsentPrompt() {
+    if (consentPrompt) consentPrompt.classList.add('hidden');
+}
+
+function initConsent() {
+    consentPrompt = document.getElementById('consent-prompt');
+    if (!consentPrompt) return;
+
+    consentPrompt.querySelectorAll('[data-consent]').forEach(button => {
+        button.addEventListener('click', () => setConsent(button.dataset.consent));
+    });
+
+    // Reopen from the context menu
+    const privacyLink = document.getElementById('privacy-settings');
+    if (privacyLink) {
+        privacyLink.addEventListener('click', (e) => {
+            e.preventDefault();
+            if (contextMenu) contextMenu.classList.add('hidden');
+            showConsentPrompt();
+        });
+    }
+
+    // Only ask when there's a real choice to make
+    if (!getStoredConsent() && !browserOptedOut()) {
+        showConsentPrompt();
+    }
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initConsent);
+} else {
+    initConsent();
+}
+
+// ========== CARD REGISTRY ==========
+// Cards are listed in cards.json and rendered into the gateway at startup;
+// each one's iframe is the generic card.html with its fields in the query string.
+// A card may set `page` to a copy of card.html hosted on another BADSEED domain;
+// the cards.json served with that copy lists this gateway in `gatewayOrigins`.
+const CARD_MANIFEST = 'cards.json';
+const CARD_PAGE = 'card.html';
+const CARD_FIELDS = ['id', 'title', 'subtitle', 'hoverVideo', 'transitionVideo', 'url'];
+
+async function loadCards() {
+    try {
+        const response = await fetch(CARD_MANIFEST);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const manifest = await response.json();
+
+        const entries = (manifest.cards || []).filter(entry => {
+            const missing = CARD_FIELDS.filter(field => !entry[field]);
+            if (missing.length) {
+                console.warn(`[SOIL] Skipping card ${entry.id || '?'}: missing ${missing.join(', ')}`);
+                return false;
+            }
+            // Still shown, but the analytics endpoint will refuse its events
+            if (!CARDS.includes(entry.id)) {
+                console.warn(`[SOIL] Card ${entry.id} is not in schema.mjs CARDS - it won't be tracked`);
+            }
+            return true;
+        });
+
+        return entries.sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity));
+    } catch (err) {
+        console.error('[SOIL] Could not load card manifest:', err);
+        return [];
+    }
+}
+
+function renderCards(entries) {
+    const container = document.querySelector('.cards-container');
+    if (container) {
+        entries.forEach(entry => {
+            const card = document.createElement('div');
+            card.className = 'card';
+            card.dataset.destination = entry.id;
+            card.dataset.video = entry.transitionVideo;
+            card.dataset.url = entry.url;
+
+            const params = new URLSearchParams({
+                node: entry.id,
+                title: entry.title,
+                subtitle: entry.subtitle,
+                video: entry.hoverVideo
+            });
+            // Optional card behaviour, see card.html
+            if (entry.siblingEffect) params.set('sibling', entry.siblingEffect);
+            if (entry.idleVideo) params.set('idle', entry.idleVideo);
+            if (entry.glowColor) params.set('glow', entry.glowColor);
+            const iframe = document.createElement('iframe');
+            iframe.src = 'about:blank';
+            iframe.dataset.src = `${entry.page || CARD_PAGE}?${params}`;
+            iframe.setAttribute('frameborder', '0');
+            iframe.title = entry.title;
+
+            card.appendChild(iframe);
+            container.appendChild(card);
+        });
+    }
+
+    // Context menu shortcuts for cards that want one
+    const menuNodes = document.getElementById('context-menu-nodes');
+    if (menuNodes) {
+        entries.filter(entry => entry.menuLabel).forEach(entry => {
+            const link = document.createElement('a');
+            link.href = entry.url;
+            link.className = 'context-menu-item';
+            link.textContent = entry.menuLabel;
+            menuNodes.appendChild(link);
+        });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    renderCards(await loadCards());
+
     const cards = document.querySelectorAll('.card');
     const videoOverlay = document.getElementById('video-overlay');
     const transitionVideo = document.getElementById('transition-video');
@@ -208,11 +379,10 @@ document.addEventListener('DOMContentLoaded', () => {
     let tendrils = [];
 
     // Track iframe ready states
-    const iframeReadyState = {
-        voice: false,
-        value: false,
-        agent: false
-    };
+    const iframeReadyState = {};
+    cards.forEach(card => {
+        iframeReadyState[card.dataset.destination] = false;
+    });
 
     // Current hover state for sync
     let currentHoveredCard = null;
@@ -221,15 +391,55 @@ document.addEventListener('DOMContentLoaded', () => {
 
     const ANALYTICS_ENDPOINT = '/.netlify/functions/analytics-track';
 
-    // Generate or retrieve session ID
-    const sessionId = (() => {
+    // Generate or retrieve session ID - only ever stored with full consent
+    function getSessionId() {
         let sid = sessionStorage.getItem('soil_session');
         if (!sid) {
             sid = Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
             sessionStorage.setItem('soil_session', sid);
         }
         return sid;
-    })();
+    }
+
+    // Campaign attribution - utm_* params, landing page and referrer from the
+    // session's first page. Kept in sessionStorage with full consent only, like
+    // the session ID; a new campaign link replaces it.
+    const ATTRIBUTION_KEY = 'soil_attribution';
+
+    function captureAttribution() {
+        const params = new URLSearchParams(location.search);
+        const captured = {};
+        UTM_PARAMS.forEach(param => {
+            const value = params.get(param);
+            if (value) captured[param] = value.slice(0, 128);
+        });
+
+        if (Object.keys(captured).length === 0) {
+            try {
+                const stored = JSON.parse(sessionStorage.getItem(ATTRIBUTION_KEY));
+                if (stored) return stored;
+            } catch {}
+        }
+
+        captured.landing = (location.origin + location.pathname).slice(0, 512);
+        // Origin only - the server just needs the referring host
+        if (document.referrer) {
+            try {
+                captured.referrer = new URL(document.referrer).origin;
+            } catch {}
+        }
+        return captured;
+    }
+
+    function rememberAttribution() {
+        if (getConsentMode() !== 'full') return;
+        try {
+            sessionStorage.setItem(ATTRIBUTION_KEY, JSON.stringify(attribution));
+        } catch {}
+    }
+
+    const attribution = captureAttribution();
+    rememberAttribution();
 
     // Session start time for duration tracking
     const sessionStartTime = Date.now();
@@ -237,32 +447,88 @@ document.addEventListener('DOMContentLoaded', () => {
     // Track hover durations
     const hoverStartTimes = {};
 
-    // Send analytics event
+    // Batching - events are queued and flushed together to save invocations
+    const FLUSH_INTERVAL = 5000;
+    const MAX_BATCH_SIZE = 20;
+    let eventQueue = [];
+
+    // Queue analytics event
     function trackEvent(event, card = null, data = {}) {
-        const payload = {
+        const consent = getConsentMode();
+        if (consent === 'none') return;
+
+        const item = {
             event,
             page: 'gateway',
             card,
             data,
-            sessionId,
+            consent,
+            sessionId: consent === 'full' ? getSessionId() : null,
             timestamp: Date.now()
         };
 
+        // Same rules the server applies - don't spend a request on a rejection
+        const error = validateEvent(item);
+        if (error) {
+            console.warn(`[SOIL] Dropped analytics event: ${error}`);
+            return;
+        }
+
+        eventQueue.push(item);
+
+        if (eventQueue.length >= MAX_BATCH_SIZE) {
+            flushEvents();
+        }
+    }
+
+    // Send all queued events in a single request
+    function flushEvents() {
+        if (eventQueue.length === 0) return;
+
+        const body = JSON.stringify({ events: eventQueue });
+        eventQueue = [];
+
         // Use sendBeacon for reliability, especially on page exit
-        if (navigator.sendBeacon) {
-            navigator.sendBeacon(ANALYTICS_ENDPOINT, JSON.stringify(payload));
-        } else {
-            fetch(ANALYTICS_ENDPOINT, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload),
-                keepalive: true
-            }).catch(() => {});
+        if (navigator.sendBeacon && navigator.sendBeacon(ANALYTICS_ENDPOINT, body)) {
+            return;
         }
+
+        fetch(ANALYTICS_ENDPOINT, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            keepalive: true
+        }).catch(() => {});
     }
 
+    setInterval(flushEvents, FLUSH_INTERVAL);
+
+    // Drop anything queued or stored as soon as consent is narrowed
+    let consentMode = getConsentMode();
+    window.addEventListener('soil:consent', (e) => {
+        const mode = e.detail.mode;
+        const previous = consentMode;
+        consentMode = mode;
+
+        if (mode === 'full') {
+            // Open an identified session so the server can sequence what follows.
+            // Coming from aggregate, this visit's session was counted at load already.
+            if (previous !== 'full') {
+                trackEvent('session_start', null, previous === 'aggregate' ? { consentUpgrade: true } : {});
+            }
+            rememberAttribution();
+            return;
+        }
+
+        sessionStorage.removeItem('soil_session');
+        sessionStorage.removeItem(ATTRIBUTION_KEY);
+        eventQueue = mode === 'none'
+            ? []
+            : eventQueue.map(queued => ({ ...queued, consent: mode, sessionId: null }));
+    });
+
     // Track page view on load
-    trackEvent('page_view');
+    trackEvent('page_view', null, attribution);
     trackEvent('session_start');
 
     // Track page exit
@@ -270,88 +536,77 @@ document.addEventListener('DOMContentLoaded', () => {
         const sessionDuration = Date.now() - sessionStartTime;
         trackEvent('page_exit', null, { duration: sessionDuration });
         trackEvent('session_end', null, { duration: sessionDuration });
+        flushEvents();
     });
 
+    window.addEventListener('pagehide', flushEvents);
+
     // Track visibility changes (tab switches)
     document.addEventListener('visibilitychange', () => {
         if (document.hidden) {
             trackEvent('page_hidden');
+            // Last reliable chance to send on mobile
+            flushEvents();
         } else {
             trackEvent('page_visible');
         }
     });
 
-    // Load iframe content lazily
+    // ========== IFRAME COMMUNICATION SYSTEM ==========
+
+    // One origin-checked port per card iframe (see messaging.mjs). The card's
+    // identity comes from which iframe a message arrived on, not its payload.
+    const cardPorts = new Map();
+
     cards.forEach(card => {
+        const node = card.dataset.destination;
         const iframe = card.querySelector('iframe');
-        const src = iframe.dataset.src;
-        if (src) {
-            iframe.src = src;
-        }
-    });
+        const origin = new URL(iframe.dataset.src || iframe.src, window.location.href).origin;
+        const port = connectCard(iframe, { origin });
+
+        port.onReady(() => {
+            // Mark iframe as loaded
+            if (!iframeReadyState[node]) {
+                iframeReadyState[node] = true;
+                card.classList.add('iframe-ready');
+                // Track iframe ready event
+                trackEvent('iframe_ready', node);
+                console.log(`[SOIL] ${node} iframe ready`);
+            }
+            return { node };
+        });
 
-    // ========== IFRAME COMMUNICATION SYSTEM ==========
+        // Iframe content is being hovered - pulse the seed glow
+        port.onHover(hovering => {
+            pulseSeedGlow(hovering);
+            trackEvent(hovering ? 'iframe_hover_start' : 'iframe_hover_end', node);
+        });
 
-    // Listen for messages from iframes
-    window.addEventListener('message', (event) => {
-        // Validate message structure
-        if (!event.data || !event.data.type) return;
-
-        const { type, node, data } = event.data;
-
-        switch (type) {
-            case 'IFRAME_READY':
-                // Mark iframe as loaded
-                if (node && iframeReadyState.hasOwnProperty(node)) {
-                    iframeReadyState[node] = true;
-                    const card = document.querySelector(`[data-destination="${node}"]`);
-                    if (card) {
-                        card.classList.add('iframe-ready');
-                    }
-                    // Track iframe ready event
-                    trackEvent('iframe_ready', node);
-                    console.log(`[SOIL] ${node} iframe ready`);
-                }
-                break;
-
-            case 'IFRAME_HOVER':
-                // Iframe content is being hovered - pulse the seed glow
-                if (data && data.hovering) {
-                    pulseSeedGlow(true);
-                    trackEvent('iframe_hover_start', node);
-                } else {
-                    pulseSeedGlow(false);
-                    trackEvent('iframe_hover_end', node);
-                }
-                break;
+        // Iframe requests a seed pulse effect
+        port.onPulse(() => triggerSeedPulse());
 
-            case 'IFRAME_PULSE':
-                // Iframe requests a seed pulse effect
-                triggerSeedPulse();
-                break;
-        }
+        // Iframe requests a custom glow (already validated by the port)
+        port.onEffect(({ glow }) => {
+            playGlowEffect(glow);
+            return { applied: true };
+        });
+
+        cardPorts.set(node, port);
     });
 
-    // Send message to specific iframe
-    function sendToIframe(destination, message) {
-        const card = document.querySelector(`[data-destination="${destination}"]`);
-        if (card) {
-            const iframe = card.querySelector('iframe');
-            if (iframe && iframe.contentWindow) {
-                iframe.contentWindow.postMessage(message, '*');
-            }
-        }
+    // Tell every card which card is hovered
+    function broadcastCardHover(destination, hovering) {
+        cardPorts.forEach(port => port.cardHover(destination, hovering));
     }
 
-    // Send message to all iframes
-    function broadcastToIframes(message) {
-        cards.forEach(card => {
-            const iframe = card.querySelector('iframe');
-            if (iframe && iframe.contentWindow) {
-                iframe.contentWindow.postMessage(message, '*');
-            }
-        });
-    }
+    // Load iframe content lazily - after the ports above are listening
+    cards.forEach(card => {
+        const iframe = card.querySelector('iframe');
+        const src = iframe.dataset.src;
+        if (src) {
+            iframe.src = src;
+        }
+    });
 
     // Seed glow pulse effect triggered by iframe hover
     const seedGlow = document.querySelector('.seed-glow');
@@ -375,6 +630,25 @@ document.addEventListener('DOMContentLoaded', () => {
         }, 600);
     }
 
+    // Card-requested glow: each curve point becomes a keyframe, 0 = resting, 1 = full flare.
+    // A new request replaces whatever glow is still running.
+    let glowAnimation = null;
+
+    function playGlowEffect({ color, curve, duration }) {
+        if (!seedGlow || !seedGlow.animate) return;
+        if (glowAnimation) glowAnimation.cancel();
+
+        const keyframes = curve.map(intensity => ({
+            opacity: 0.6 + intensity * 0.4,
+            transform: `translate(-50%, -50%) scale(${1 + intensity * 0.3})`,
+            filter: `drop-shadow(0 0 ${Math.round(intensity * 40)}px ${color})`
+        }));
+        glowAnimation = seedGlow.animate(keyframes, { duration, easing: 'ease-in-out' });
+        glowAnimation.onfinish = () => {
+            glowAnimation = null;
+        };
+    }
+
     // Card hover events - notify iframes and track analytics
     cards.forEach(card => {
         const destination = card.dataset.destination;
@@ -386,10 +660,9 @@ document.addEventListener('DOMContentLoaded', () => {
             // Track hover start
             trackEvent('card_hover_start', destination);
 
-            // Notify the hovered iframe
-            sendToIframe(destination, { type: 'PARENT_HOVER', hovering: true });
-            // Notify all iframes which card is hovered
-            broadcastToIframes({ type: 'CARD_HOVER', card: destination, hovering: true });
+            // Notify the hovered iframe, then all of them
+            cardPorts.get(destination)?.setParentHover(true);
+            broadcastCardHover(destination, true);
         });
 
         card.addEventListener('mouseleave', () => {
@@ -404,8 +677,8 @@ document.addEventListener('DOMContentLoaded', () => {
             currentHoveredCard = null;
             delete hoverStartTimes[destination];
 
-            sendToIframe(destination, { type: 'PARENT_HOVER', hovering: false });
-            broadcastToIframes({ type: 'CARD_HOVER', card: destination, hovering: false });
+            cardPorts.get(destination)?.setParentHover(false);
+            broadcastCardHover(destination, false);
         });
     });
 
@@ -420,7 +693,7 @@ document.addEventListener('DOMContentLoaded', () => {
             const redirectUrl = card.dataset.url;
 
             // Track card click
-            trackEvent('card_click', destination, { targetUrl: redirectUrl });
+            trackEvent('card_click', destination, { targetUrl: redirectUrl, ...attribution });
 
             startTransition(videoSrc, redirectUrl);
         });
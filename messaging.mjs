@@ -0,0 +1,207 @@
+// BADSEED SOIL - Gateway <-> card messaging
+// Shared by gateway.js and card.html. Every message is an envelope with a
+// protocol version and an ID, is only accepted from the expected window on an
+// allow-listed origin, and requests either get a reply or time out.
+
+export const PROTOCOL = 'soil';
+export const PROTOCOL_VERSION = 1;
+
+// Message types and their payloads
+export const MESSAGES = {
+  // card -> gateway
+  READY: 'IFRAME_READY', // request, answered once the gateway has registered the card
+  HOVER: 'IFRAME_HOVER', // { hovering }
+  PULSE: 'IFRAME_PULSE',
+  EFFECT: 'IFRAME_EFFECT', // request, { glow: { color, curve, duration } } - see validateEffect
+  // gateway -> card
+  PARENT_HOVER: 'PARENT_HOVER', // { hovering }
+  CARD_HOVER: 'CARD_HOVER' // { card, hovering }
+};
+
+// Bounds for card-requested effects, so one card can't take over the gateway
+export const EFFECT_LIMITS = {
+  curvePoints: [2, 16],
+  duration: [100, 5000]
+};
+
+const COLOR = /^(#[0-9a-f]{3,8}|rgba?\(\s*\d{1,3}\s*,\s*\d{1,3}\s*,\s*\d{1,3}\s*(,\s*(0|1|0?\.\d+)\s*)?\))$/i;
+
+const REPLY = 'REPLY';
+const DEFAULT_TIMEOUT_MS = 5000;
+
+// Error message for an effect request we won't run, or null if it's valid.
+//   glow.color    - hex or rgb()/rgba() colour
+//   glow.curve    - intensity keyframes, each 0-1
+//   glow.duration - ms for the whole curve
+export function validateEffect(effect) {
+  const glow = effect?.glow;
+  if (!glow || typeof glow !== 'object') {
+    return 'Unknown effect';
+  }
+  if (typeof glow.color !== 'string' || !COLOR.test(glow.color)) {
+    return 'Invalid glow color';
+  }
+
+  const [minPoints, maxPoints] = EFFECT_LIMITS.curvePoints;
+  if (!Array.isArray(glow.curve) || glow.curve.length < minPoints || glow.curve.length > maxPoints
+      || !glow.curve.every(v => Number.isFinite(v) && v >= 0 && v <= 1)) {
+    return 'Invalid glow curve';
+  }
+
+  const [minDuration, maxDuration] = EFFECT_LIMITS.duration;
+  if (!Number.isFinite(glow.duration) || glow.duration < minDuration || glow.duration > maxDuration) {
+    return 'Invalid glow duration';
+  }
+
+  return null;
+}
+
+let messageCount = 0;
+
+function nextId() {
+  messageCount++;
+  return `${Date.now().toString(36)}-${messageCount}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Two-way channel with one other window.
+//   target         - the window on the other end (iframe.contentWindow, window.parent)
+//   allowedOrigins - origins that window may have; anything else is dropped
+//   host           - the window whose `message` events we listen to
+// Until the other side has been heard from, outgoing messages are posted once
+// per allowed origin - the browser only delivers the one that matches.
+export function createChannel({ target, allowedOrigins, timeoutMs = DEFAULT_TIMEOUT_MS, host = globalThis }) {
+  const handlers = new Map();
+  const pending = new Map();
+  let peerOrigin = allowedOrigins.length === 1 ? allowedOrigins[0] : null;
+
+  function post(envelope) {
+    const message = { protocol: PROTOCOL, version: PROTOCOL_VERSION, ...envelope };
+    (peerOrigin ? [peerOrigin] : allowedOrigins).forEach(origin => {
+      target.postMessage(message, origin);
+    });
+  }
+
+  function reply(msg, result) {
+    post({ id: nextId(), type: REPLY, replyTo: msg.id, ...result });
+  }
+
+  function onMessage(event) {
+    if (event.source !== target) return;
+
+    const msg = event.data;
+    if (!msg || msg.protocol !== PROTOCOL) return;
+    if (!allowedOrigins.includes(event.origin)) {
+      console.warn(`[SOIL] Dropped message from unexpected origin ${event.origin}`);
+      return;
+    }
+    if (msg.version !== PROTOCOL_VERSION) {
+      console.warn(`[SOIL] Dropped protocol v${msg.version} message, expected v${PROTOCOL_VERSION}`);
+      return;
+    }
+    if (typeof msg.id !== 'string' || typeof msg.type !== 'string') return;
+
+    peerOrigin = event.origin;
+    const payload = msg.payload && typeof msg.payload === 'object' ? msg.payload : {};
+
+    if (msg.type === REPLY) {
+      const request = pending.get(msg.replyTo);
+      if (!request) return;
+      pending.delete(msg.replyTo);
+      clearTimeout(request.timer);
+      if (msg.error) {
+        request.reject(new Error(msg.error));
+      } else {
+        request.resolve(payload);
+      }
+      return;
+    }
+
+    const handler = handlers.get(msg.type);
+    if (!msg.expectsReply) {
+      if (handler) handler(payload);
+      return;
+    }
+
+    Promise.resolve()
+      .then(() => {
+        if (!handler) throw new Error(`No handler for ${msg.type}`);
+        return handler(payload);
+      })
+      .then(
+        result => reply(msg, { payload: result ?? {} }),
+        err => reply(msg, { error: err.message || String(err) })
+      );
+  }
+
+  host.addEventListener('message', onMessage);
+
+  return {
+    // Fire and forget
+    send(type, payload = {}) {
+      post({ id: nextId(), type, payload });
+    },
+
+    // Resolves with the other side's handler result
+    request(type, payload = {}, { timeout = timeoutMs } = {}) {
+      const id = nextId();
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          pending.delete(id);
+          reject(new Error(`${type} timed out after ${timeout}ms`));
+        }, timeout);
+        pending.set(id, { resolve, reject, timer });
+        post({ id, type, payload, expectsReply: true });
+      });
+    },
+
+    // One handler per type; its return value (or promise) answers requests
+    on(type, handler) {
+      handlers.set(type, handler);
+      return () => handlers.delete(type);
+    },
+
+    close() {
+      host.removeEventListener('message', onMessage);
+      pending.forEach(({ reject, timer }) => {
+        clearTimeout(timer);
+        reject(new Error('Channel closed'));
+      });
+      pending.clear();
+    }
+  };
+}
+
+// Gateway side: one port per card iframe, served from `origin`
+export function connectCard(iframe, { origin, timeoutMs, host } = {}) {
+  const channel = createChannel({ target: iframe.contentWindow, allowedOrigins: [origin], timeoutMs, host });
+  return {
+    onReady: handler => channel.on(MESSAGES.READY, handler),
+    onHover: handler => channel.on(MESSAGES.HOVER, ({ hovering }) => handler(hovering === true)),
+    onPulse: handler => channel.on(MESSAGES.PULSE, () => handler()),
+    // Invalid requests are refused before the handler sees them
+    onEffect: handler => channel.on(MESSAGES.EFFECT, effect => {
+      const error = validateEffect(effect);
+      if (error) throw new Error(error);
+      return handler(effect);
+    }),
+    setParentHover: hovering => channel.send(MESSAGES.PARENT_HOVER, { hovering }),
+    cardHover: (card, hovering) => channel.send(MESSAGES.CARD_HOVER, { card, hovering }),
+    request: channel.request,
+    close: channel.close
+  };
+}
+
+// Card side: talks to the gateway embedding it, if it's on one of `allowedOrigins`
+export function connectGateway({ allowedOrigins, timeoutMs, host, parent = globalThis.parent } = {}) {
+  const channel = createChannel({ target: parent, allowedOrigins, timeoutMs, host });
+  return {
+    ready: node => channel.request(MESSAGES.READY, { node }),
+    hover: hovering => channel.send(MESSAGES.HOVER, { hovering }),
+    pulse: () => channel.send(MESSAGES.PULSE),
+    effect: effect => channel.request(MESSAGES.EFFECT, effect),
+    onParentHover: handler => channel.on(MESSAGES.PARENT_HOVER, ({ hovering }) => handler(hovering === true)),
+    onCardHover: handler => channel.on(MESSAGES.CARD_HOVER, ({ card, hovering }) => handler(card, hovering === true)),
+    request: channel.request,
+    close: channel.close
+  };
+}
@@ -0,0 +1,162 @@
+// BADSEED SOIL - Analytics Export Function (ES Module / Netlify Functions v2)
+//
+// GET ?dataset=events|daily|cards plus the usual range/from/to/tz params.
+//   events - raw events as NDJSON, one { key, ...event } per line
+//   daily  - one CSV row per local day
+//   cards  - one CSV row per local day and card
+// Events are streamed a batch at a time, compacted hours included. When a
+// large range can't be finished within the time budget, the last line is
+// {"truncated":true,"resumeAfter":"<key>"} - repeat the request with
+// after=<key> to continue.
+import { authenticate, unauthorized } from "../lib/auth.mjs";
+import { EVENT_KEY, eventBatches, isWithin } from "../lib/events.mjs";
+import { estimateCardinality } from "../lib/hll.mjs";
+import { internalError, openDashboardRequest } from "../lib/http.mjs";
+import { resolvePeriod } from "../lib/period.mjs";
+import { readDailyBuckets, summarizeCards } from "../lib/stats.mjs";
+import { openStore } from "../lib/store.mjs";
+import { addDays, datesBetween } from "../lib/time.mjs";
+import { CARDS } from "../../schema.mjs";
+
+const DATASETS = ['events', 'daily', 'cards'];
+
+// Stop streaming events this long after the request started, to stay
+// under the function time limit
+const DEFAULT_EXPORT_SECONDS = 8;
+
+export default async (req, context) => {
+  const { headers, response } = openDashboardRequest(req, { methods: ['GET'] });
+  if (response) return response;
+
+  const auth = authenticate(req);
+  if (!auth.ok) return unauthorized(auth, headers);
+
+  const url = new URL(req.url);
+  const dataset = url.searchParams.get('dataset');
+  const after = url.searchParams.get('after');
+  const period = resolvePeriod(url.searchParams);
+
+  if (!DATASETS.includes(dataset)) {
+    period.error = `dataset must be one of: ${DATASETS.join(', ')}`;
+  } else if (after && !EVENT_KEY.test(after)) {
+    period.error = 'after must be an event key from a previous export';
+  }
+  if (period.error) {
+    return new Response(JSON.stringify({ error: period.error }), {
+      status: 400,
+      headers
+    });
+  }
+
+  const store = openStore();
+  const filename = `soil-${dataset}-${period.from}-${period.to}.${dataset === 'events' ? 'ndjson' : 'csv'}`;
+  const fileHeaders = {
+    ...headers,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store'
+  };
+
+  try {
+    if (dataset === 'events') {
+      const budgetMs = (parseInt(process.env.SOIL_EXPORT_SECONDS, 10) || DEFAULT_EXPORT_SECONDS) * 1000;
+      return new Response(streamEvents(store, period, { after, deadline: Date.now() + budgetMs }), {
+        status: 200,
+        headers: { ...fileHeaders, 'Content-Type': 'application/x-ndjson; charset=utf-8' }
+      });
+    }
+
+    const { days } = await readDailyBuckets(store, period);
+    const rows = dataset === 'daily' ? dailyRows(days) : cardRows(days);
+    return new Response(rows.map(toCsvLine).join(''), {
+      status: 200,
+      headers: { ...fileHeaders, 'Content-Type': 'text/csv; charset=utf-8' }
+    });
+
+  } catch (error) {
+    return internalError('Analytics export error', error, headers);
+  }
+};
+
+// NDJSON body that reads one batch of events at a time
+function streamEvents(store, period, { after, deadline }) {
+  const encoder = new TextEncoder();
+  const utcDates = datesBetween(addDays(period.from, -1), addDays(period.to, 1))
+    .filter(date => !after || date >= after.slice('events/'.length, 'events/'.length + 10));
+
+  async function* lines() {
+    let lastKey = null;
+
+    for (const utcDate of utcDates) {
+      for await (const batch of eventBatches(store, utcDate, { after: after || '' })) {
+        if (lastKey && Date.now() > deadline) {
+          yield JSON.stringify({ truncated: true, resumeAfter: lastKey }) + '\n';
+          return;
+        }
+
+        let chunk = '';
+        batch.forEach(({ key, event }) => {
+          if (!event.bot && isWithin(event, period)) {
+            chunk += JSON.stringify({ key, ...event }) + '\n';
+          }
+        });
+        lastKey = batch[batch.length - 1].key;
+        if (chunk) yield chunk;
+      }
+    }
+  }
+
+  const iterator = lines();
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await iterator.next();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(encoder.encode(value));
+        }
+      } catch (error) {
+        console.error('Analytics export error:', error);
+        controller.error(error);
+      }
+    },
+    cancel() {
+      return iterator.return();
+    }
+  });
+}
+
+function dailyRows(days) {
+  const header = ['date', 'pageViews', 'uniqueVisitors', 'sessions', 'events', 'botEvents',
+    ...CARDS.flatMap(card => [`${card}Hovers`, `${card}Clicks`])];
+
+  return [header, ...Object.entries(days).map(([date, day]) => [
+    date,
+    day.pageViews,
+    estimateCardinality(day.visitors),
+    day.sessions,
+    day.events,
+    day.botEvents,
+    ...CARDS.flatMap(card => [day.cardHovers[card] || 0, day.cardClicks[card] || 0])
+  ])];
+}
+
+function cardRows(days) {
+  const header = ['date', 'card', 'hovers', 'clicks', 'avgHoverTimeMs', 'clickRate', 'share'];
+
+  const rows = [];
+  Object.entries(days).forEach(([date, day]) => {
+    Object.entries(summarizeCards(day)).forEach(([card, stats]) => {
+      rows.push([date, card, stats.hovers, stats.clicks, stats.avgHoverTime, stats.clickRate, stats.share]);
+    });
+  });
+  return [header, ...rows];
+}
+
+// RFC 4180 line: quote fields containing separators, quotes or newlines
+function toCsvLine(fields) {
+  return fields.map(value => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+}
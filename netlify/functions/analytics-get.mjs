@@ -1,49 +1,100 @@
 // BADSEED SOIL - Analytics Retrieval Function (ES Module / Netlify Functions v2)
-import { getStore } from "@netlify/blobs";
+import { summarizeCampaigns } from "../lib/attribution.mjs";
+import { authenticate, unauthorized } from "../lib/auth.mjs";
+import { parseEventQuery, queryEvents } from "../lib/event-query.mjs";
+import { readEvents } from "../lib/events.mjs";
+import { buildFunnel } from "../lib/funnel.mjs";
+import { estimateCardinality } from "../lib/hll.mjs";
+import { internalError, openDashboardRequest } from "../lib/http.mjs";
+import { isVisitorHashingEnabled } from "../lib/identity.mjs";
+import { resolvePeriod } from "../lib/period.mjs";
+import { REALTIME_WINDOW_MS, summarizeRealtime } from "../lib/realtime.mjs";
+import { readRealtimeRollups } from "../lib/rollups.mjs";
+import { rebuildSessions, summarizeSessions, summarizeSessionTotals } from "../lib/sessions.mjs";
+import { createEmptyBucket, mergeBucket, readDailyBuckets, summarizeCards } from "../lib/stats.mjs";
+import { openStore } from "../lib/store.mjs";
+import { datesBetween } from "../lib/time.mjs";
+
+// Reports that replay raw events are capped much lower than rollup reports
+const MAX_SCAN_DAYS = 31;
+
+// The detailed session metrics of sessions=1 replay every raw event of the
+// period and of its baseline, so they're kept to ranges of a week or less.
+// The overview's come from the session rollups instead (see maintenance.mjs).
+const MAX_SESSION_DAYS = 7;
+
+// Latency targets, p95 on a warm instance, for the store reads reported in
+// the Server-Timing header:
+//   type=realtime  100 ms - ring buffer plus one or two minute rollups
+//   type=events     50 ms - first unfiltered page, from the ring buffer
+// Both are answered from rollups.mjs without touching raw event blobs. Other
+// type=events queries walk the raw events and return a cursor at the latest
+// after EVENTS_SCAN_MS.
+const EVENTS_SCAN_MS = 5000;
 
 export default async (req, context) => {
-  // CORS headers
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Content-Type': 'application/json'
-  };
-
-  // Handle preflight
-  if (req.method === 'OPTIONS') {
-    return new Response(null, { status: 204, headers });
-  }
+  const { headers, response } = openDashboardRequest(req, { methods: ['GET'] });
+  if (response) return response;
 
-  if (req.method !== 'GET') {
-    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
-      status: 405,
-      headers
-    });
-  }
+  const auth = authenticate(req);
+  if (!auth.ok) return unauthorized(auth, headers);
 
   try {
     const url = new URL(req.url);
-    const range = url.searchParams.get('range') || '7d';
     const type = url.searchParams.get('type') || 'summary';
 
     // Get the store - in Netlify Functions v2, context is automatically available
-    const store = getStore('soil-analytics');
+    const store = openStore();
 
     if (type === 'summary') {
-      const data = await getSummaryStats(store, range);
+      const period = resolvePeriod(url.searchParams);
+      const withSessions = url.searchParams.get('sessions') === '1';
+      if (!period.error && withSessions && [period, period.baseline].some(p => p &&
+        datesBetween(p.from, p.to).length > MAX_SESSION_DAYS)) {
+        period.error = `Session metrics range cannot exceed ${MAX_SESSION_DAYS} days`;
+      }
+      if (period.error) {
+        return new Response(JSON.stringify({ error: period.error }), {
+          status: 400,
+          headers
+        });
+      }
+      const data = await getSummaryStats(store, period, withSessions);
+      return new Response(JSON.stringify(data), { status: 200, headers });
+    }
+
+    if (type === 'funnel') {
+      const period = resolvePeriod(url.searchParams);
+      if (!period.error && datesBetween(period.from, period.to).length > MAX_SCAN_DAYS) {
+        period.error = `Funnel range cannot exceed ${MAX_SCAN_DAYS} days`;
+      }
+      if (period.error) {
+        return new Response(JSON.stringify({ error: period.error }), {
+          status: 400,
+          headers
+        });
+      }
+      const data = await getFunnelStats(store, period);
       return new Response(JSON.stringify(data), { status: 200, headers });
     }
 
     if (type === 'realtime') {
+      const started = performance.now();
       const data = await getRealtimeStats(store);
-      return new Response(JSON.stringify(data), { status: 200, headers });
+      return new Response(JSON.stringify(data), { status: 200, headers: withTiming(headers, started) });
     }
 
     if (type === 'events') {
-      const limit = parseInt(url.searchParams.get('limit') || '100');
-      const data = await getRecentEvents(store, limit);
-      return new Response(JSON.stringify(data), { status: 200, headers });
+      const query = parseEventQuery(url.searchParams);
+      if (query.error) {
+        return new Response(JSON.stringify({ error: query.error }), {
+          status: 400,
+          headers
+        });
+      }
+      const started = performance.now();
+      const data = await getEvents(store, query);
+      return new Response(JSON.stringify(data), { status: 200, headers: withTiming(headers, started) });
     }
 
     return new Response(JSON.stringify({ error: 'Invalid type' }), {
@@ -52,174 +103,93 @@ export default async (req, context) => {
     });
 
   } catch (error) {
-    console.error('Analytics get error:', error);
-    return new Response(JSON.stringify({
-      error: 'Internal error',
-      details: error.message,
-      stack: error.stack
-    }), {
-      status: 500,
-      headers
-    });
+    return internalError('Analytics get error', error, headers);
   }
 };
 
-// Get summary statistics for a date range
-async function getSummaryStats(store, range) {
-  const days = range === '1d' ? 1 : range === '7d' ? 7 : 30;
-  const dates = [];
+// Get summary statistics for a local date window, plus deltas against the baseline
+async function getSummaryStats(store, period, withSessions) {
+  const current = await collectPeriod(store, period, withSessions);
+  const summary = formatSummaryResponse(current, period);
 
-  for (let i = 0; i < days; i++) {
-    const date = new Date();
-    date.setDate(date.getDate() - i);
-    dates.push(date.toISOString().split('T')[0]);
+  if (period.baseline) {
+    const baselinePeriod = { ...period, ...period.baseline, range: 'custom', baseline: null };
+    const previous = await collectPeriod(store, baselinePeriod, withSessions);
+    const baseline = formatSummaryResponse(previous, baselinePeriod);
+    summary.comparison = formatComparison(summary, baseline, current.totals, previous.totals);
   }
 
-  let totals = {
-    pageViews: 0,
-    uniqueVisitors: [],
-    cardHovers: { voice: 0, value: 0, agent: 0 },
-    cardClicks: { voice: 0, value: 0, agent: 0 },
-    cardHoverTime: { voice: 0, value: 0, agent: 0 },
-    sessions: 0,
-    totalSessionDuration: 0,
-    countries: {},
-    referers: {},
-    hourlyActivity: Array(24).fill(0)
-  };
+  return summary;
+}
 
-  const dailyStats = [];
-
-  for (const date of dates) {
-    try {
-      const stats = await store.get(`stats/${date}`, { type: 'json' });
-      if (stats) {
-        dailyStats.push({ date, ...stats });
-
-        totals.pageViews += stats.pageViews || 0;
-        totals.sessions += stats.sessions || 0;
-        totals.totalSessionDuration += stats.totalSessionDuration || 0;
-
-        if (stats.uniqueVisitors) {
-          stats.uniqueVisitors.forEach(v => {
-            if (!totals.uniqueVisitors.includes(v)) {
-              totals.uniqueVisitors.push(v);
-            }
-          });
-        }
-
-        ['voice', 'value', 'agent'].forEach(card => {
-          totals.cardHovers[card] += stats.cardHovers?.[card] || 0;
-          totals.cardClicks[card] += stats.cardClicks?.[card] || 0;
-          totals.cardHoverTime[card] += stats.cardHoverTime?.[card] || 0;
-        });
+// Per-local-day buckets and range totals from the hourly rollups. Detailed
+// session metrics need the raw events, so they're only rebuilt on request.
+async function collectPeriod(store, period, withSessions) {
+  const { days, hourlyActivity } = await readDailyBuckets(store, period);
 
-        Object.entries(stats.countries || {}).forEach(([country, count]) => {
-          totals.countries[country] = (totals.countries[country] || 0) + count;
-        });
+  const totals = createEmptyBucket();
+  Object.values(days).forEach(day => mergeBucket(totals, day));
 
-        Object.entries(stats.referers || {}).forEach(([ref, count]) => {
-          totals.referers[ref] = (totals.referers[ref] || 0) + count;
-        });
+  const sessions = withSessions
+    ? summarizeSessions(rebuildSessions(await readEvents(store, period)))
+    : null;
 
-        (stats.hourlyActivity || []).forEach((count, hour) => {
-          totals.hourlyActivity[hour] += count;
-        });
-      }
-    } catch (e) {
-      // Date not found, skip
-    }
-  }
+  return { totals, hourlyActivity, days, sessions };
+}
+
+// Get per-card conversion funnel rebuilt from raw session events
+async function getFunnelStats(store, period) {
+  const events = await readEvents(store, period);
 
-  return formatSummaryResponse(totals, dailyStats, range);
+  return {
+    range: period.range,
+    from: period.from,
+    to: period.to,
+    tz: period.tz,
+    generated: Date.now(),
+    mode: 'production-blobs',
+    eventsScanned: events.length,
+    ...buildFunnel(events)
+  };
 }
 
 // Get real-time stats (last 30 minutes)
 async function getRealtimeStats(store) {
   const now = Date.now();
-  const thirtyMinutesAgo = now - (30 * 60 * 1000);
-  const fiveMinutesAgo = now - (5 * 60 * 1000);
-
-  const today = new Date().toISOString().split('T')[0];
-  const hour = new Date().getHours().toString().padStart(2, '0');
-  const prevHour = ((parseInt(hour) - 1 + 24) % 24).toString().padStart(2, '0');
-
-  const recentEvents = [];
-
-  for (const h of [prevHour, hour]) {
-    try {
-      const { blobs } = await store.list({ prefix: `events/${today}/${h}/` });
-      for (const blob of (blobs || []).slice(-50)) {
-        const event = await store.get(blob.key, { type: 'json' });
-        if (event && event.timestamp >= thirtyMinutesAgo) {
-          recentEvents.push(event);
-        }
-      }
-    } catch (e) {
-      // Continue
-    }
-  }
+  const rollups = await readRealtimeRollups(store, { since: now - REALTIME_WINDOW_MS, now });
 
-  return formatRealtimeResponse(recentEvents, now, fiveMinutesAgo);
+  return {
+    generated: now,
+    mode: 'production-blobs',
+    ...summarizeRealtime(rollups, now)
+  };
 }
 
-// Get recent events
-async function getRecentEvents(store, limit) {
-  const events = [];
-  const today = new Date().toISOString().split('T')[0];
-  const yesterday = new Date(Date.now() - 86400000).toISOString().split('T')[0];
-
-  for (const date of [today, yesterday]) {
-    for (let h = 23; h >= 0 && events.length < limit; h--) {
-      const hour = h.toString().padStart(2, '0');
-      try {
-        const { blobs } = await store.list({ prefix: `events/${date}/${hour}/` });
-        for (const blob of (blobs || []).reverse()) {
-          if (events.length >= limit) break;
-          const event = await store.get(blob.key, { type: 'json' });
-          if (event) events.push(event);
-        }
-      } catch (e) {
-        // Continue
-      }
-    }
-    if (events.length >= limit) break;
-  }
+// Get one page of raw events; follow nextCursor for the next
+async function getEvents(store, query) {
+  const { events, nextCursor } = await queryEvents(store, query, { deadline: Date.now() + EVENTS_SCAN_MS });
 
   return {
     generated: Date.now(),
     mode: 'production-blobs',
+    order: query.order,
     count: events.length,
-    events: events.sort((a, b) => b.timestamp - a.timestamp)
+    events: events.map(({ event }) => event),
+    nextCursor
   };
 }
 
+// Response headers plus a Server-Timing entry for the time since `started`
+function withTiming(headers, started) {
+  return { ...headers, 'Server-Timing': `store;dur=${(performance.now() - started).toFixed(1)}` };
+}
+
 // Format summary response
-function formatSummaryResponse(totals, dailyStats, range) {
-  const uniqueCount = totals.uniqueVisitors.length;
-  const avgSessionDuration = totals.sessions > 0
-    ? Math.round(totals.totalSessionDuration / totals.sessions / 1000)
-    : 0;
+function formatSummaryResponse({ totals, hourlyActivity, days, sessions }, period) {
+  const uniqueCount = estimateCardinality(totals.visitors);
+  const rebuilt = summarizeSessionTotals(totals.rebuiltSessions);
 
-  const totalHovers = totals.cardHovers.voice + totals.cardHovers.value + totals.cardHovers.agent;
-  const totalClicks = totals.cardClicks.voice + totals.cardClicks.value + totals.cardClicks.agent;
-
-  const cardEngagement = {};
-  ['voice', 'value', 'agent'].forEach(card => {
-    cardEngagement[card] = {
-      hovers: totals.cardHovers[card],
-      clicks: totals.cardClicks[card],
-      avgHoverTime: totals.cardHovers[card] > 0
-        ? Math.round(totals.cardHoverTime[card] / totals.cardHovers[card])
-        : 0,
-      clickRate: totals.cardHovers[card] > 0
-        ? Math.round((totals.cardClicks[card] / totals.cardHovers[card]) * 100)
-        : 0,
-      share: totalHovers > 0
-        ? Math.round((totals.cardHovers[card] / totalHovers) * 100)
-        : 0
-    };
-  });
+  const cardEngagement = summarizeCards(totals);
 
   const topCountries = Object.entries(totals.countries)
     .sort((a, b) => b[1] - a[1])
@@ -231,74 +201,112 @@ function formatSummaryResponse(totals, dailyStats, range) {
     .slice(0, 10)
     .map(([referer, count]) => ({ referer, count }));
 
-  const peakHour = totals.hourlyActivity.indexOf(Math.max(...totals.hourlyActivity));
+  const peakHour = hourlyActivity.indexOf(Math.max(...hourlyActivity));
 
   return {
-    range,
+    range: period.range,
+    from: period.from,
+    to: period.to,
+    tz: period.tz,
     generated: Date.now(),
     mode: 'production-blobs',
     overview: {
       pageViews: totals.pageViews,
       uniqueVisitors: uniqueCount,
       sessions: totals.sessions,
-      avgSessionDuration: `${avgSessionDuration}s`,
-      bounceRate: totals.sessions > 0 && totals.pageViews > 0
-        ? Math.round((1 - (totalClicks / totals.pageViews)) * 100)
+      // Sessions that have ended and been rolled up, so the latest hour or
+      // two are left out
+      avgSessionDuration: `${rebuilt.avgSessionLength}s`,
+      avgEngagedTime: `${rebuilt.avgEngagedTime}s`,
+      bounceRate: rebuilt.bounceRate
+    },
+    // Rebuilt from raw events with sessions=1, otherwise null
+    sessions,
+    consentedOnly: consentedOnlyMetrics(),
+    botTraffic: {
+      events: totals.botEvents,
+      share: totals.events + totals.botEvents > 0
+        ? Math.round((totals.botEvents / (totals.events + totals.botEvents)) * 100)
         : 0
     },
     cardEngagement,
     topCountries,
     topReferers,
-    hourlyActivity: totals.hourlyActivity,
+    // Page views and card clicks by utm source/medium/campaign or referrer
+    campaigns: summarizeCampaigns(totals.campaigns),
+    hourlyActivity,
     peakHour,
-    dailyStats: dailyStats.map(d => ({
-      date: d.date,
-      pageViews: d.pageViews || 0,
-      uniqueVisitors: d.uniqueVisitors?.length || 0,
-      sessions: d.sessions || 0
+    dailyStats: Object.entries(days).map(([date, day]) => ({
+      date,
+      pageViews: day.pageViews,
+      uniqueVisitors: estimateCardinality(day.visitors),
+      sessions: day.sessions
     }))
   };
 }
 
-// Format realtime response
-function formatRealtimeResponse(recentEvents, now, fiveMinutesAgo) {
-  const activeVisitors = new Set();
-  const recentHovers = { voice: 0, value: 0, agent: 0 };
-  const recentClicks = { voice: 0, value: 0, agent: 0 };
-  let recentPageViews = 0;
+// Overview metrics that only cover visitors with full consent: rolled up
+// sessions are rebuilt from stored raw events, and without visitor hashing
+// unique visitors are told apart by session ID
+function consentedOnlyMetrics() {
+  return [
+    ...(isVisitorHashingEnabled() ? [] : ['uniqueVisitors']),
+    'avgSessionDuration',
+    'avgEngagedTime',
+    'bounceRate'
+  ];
+}
 
-  recentEvents.forEach(event => {
-    if (event.timestamp >= fiveMinutesAgo) {
-      activeVisitors.add(event.visitorHash);
-    }
-    if (event.event === 'page_view') recentPageViews++;
-    if (event.event === 'card_hover_start' && event.card) {
-      recentHovers[event.card]++;
-    }
-    if (event.event === 'card_click' && event.card) {
-      recentClicks[event.card]++;
-    }
+// Format comparison block: absolute and percentage deltas against the baseline
+function formatComparison(current, baseline, currentTotals, baselineTotals) {
+  const overview = {};
+  Object.keys(current.overview).forEach(metric => {
+    overview[metric] = delta(parseFloat(current.overview[metric]), parseFloat(baseline.overview[metric]));
+  });
+
+  const cardEngagement = {};
+  Object.entries(current.cardEngagement).forEach(([card, fields]) => {
+    cardEngagement[card] = {};
+    Object.keys(fields).forEach(field => {
+      cardEngagement[card][field] = delta(fields[field], baseline.cardEngagement[card][field]);
+    });
   });
 
   return {
-    generated: now,
-    mode: 'production-blobs',
-    window: '30m',
-    activeVisitors: activeVisitors.size,
-    pageViews: recentPageViews,
-    cardActivity: {
-      voice: { hovers: recentHovers.voice, clicks: recentClicks.voice },
-      value: { hovers: recentHovers.value, clicks: recentClicks.value },
-      agent: { hovers: recentHovers.agent, clicks: recentClicks.agent }
-    },
-    eventStream: recentEvents
-      .sort((a, b) => b.timestamp - a.timestamp)
-      .slice(0, 20)
-      .map(e => ({
-        event: e.event,
-        card: e.card,
-        timestamp: e.timestamp,
-        country: e.client?.country
-      }))
+    from: baseline.from,
+    to: baseline.to,
+    overview,
+    cardEngagement,
+    topCountries: compareTop(currentTotals.countries, baselineTotals.countries, 'country'),
+    topReferers: compareTop(currentTotals.referers, baselineTotals.referers, 'referer')
+  };
+}
+
+// Deltas for the union of both periods' top 10 entries
+function compareTop(current, baseline, label) {
+  const top = counts => Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 10)
+    .map(([name]) => name);
+
+  const names = [...new Set([...top(current), ...top(baseline)])];
+
+  return names
+    .map(name => ({ [label]: name, ...delta(current[name] || 0, baseline[name] || 0) }))
+    .sort((a, b) => b.current - a.current || b.previous - a.previous);
+}
+
+function delta(current, previous) {
+  if (!Number.isFinite(current) || !Number.isFinite(previous)) {
+    return { current: current ?? null, previous: previous ?? null, change: null, changePct: null };
+  }
+
+  return {
+    current,
+    previous,
+    change: current - previous,
+    changePct: previous !== 0
+      ? Math.round(((current - previous) / previous) * 1000) / 10
+      : null
   };
 }
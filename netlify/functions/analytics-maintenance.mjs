@@ -0,0 +1,28 @@
+// BADSEED SOIL - Analytics Maintenance (Netlify Scheduled Function)
+//
+// Hourly: works through queued purge requests, deletes raw events older than
+// SOIL_EVENT_RETENTION_DAYS (default 90), compacts finished hours into NDJSON
+// segments and rolls up the sessions that have ended. See lib/maintenance.mjs. Anything left when the time budget
+// runs out is picked up on the next run.
+import { runMaintenance } from "../lib/maintenance.mjs";
+import { openStore } from "../lib/store.mjs";
+
+// Scheduled functions are stopped after 30 seconds
+const DEFAULT_MAINTENANCE_SECONDS = 25;
+
+export default async (req, context) => {
+  const budgetMs = (parseInt(process.env.SOIL_MAINTENANCE_SECONDS, 10) || DEFAULT_MAINTENANCE_SECONDS) * 1000;
+
+  try {
+    const result = await runMaintenance(openStore({ consistency: 'strong' }), {
+      deadline: Date.now() + budgetMs
+    });
+    console.log('Analytics maintenance:', JSON.stringify(result));
+  } catch (error) {
+    console.error('Analytics maintenance error:', error);
+  }
+};
+
+export const config = {
+  schedule: '@hourly'
+};
@@ -0,0 +1,76 @@
+// BADSEED SOIL - Analytics Purge Function (ES Module / Netlify Functions v2)
+//
+// Deletion requests for raw events.
+//   POST { "visitorHash": "..." } or { "sessionId": "..." } - queue a purge,
+//        answered 202 with the request id
+//   GET  ?id=<id> - the request's status: queued, running or done
+// Purges run in the hourly analytics-maintenance job. Daily rollups under
+// stats/ only hold counts and sketches, so they are left as they are.
+import { authenticate, unauthorized } from "../lib/auth.mjs";
+import { internalError, openDashboardRequest } from "../lib/http.mjs";
+import { PURGE_PREFIX } from "../lib/maintenance.mjs";
+import { openStore } from "../lib/store.mjs";
+import { isIdentifier } from "../../schema.mjs";
+
+const PURGE_FIELDS = ['visitorHash', 'sessionId'];
+const PURGE_ID = /^[a-z0-9]+-[a-z0-9]+$/;
+
+export default async (req, context) => {
+  const { headers, response } = openDashboardRequest(req, { methods: ['GET', 'POST'] });
+  if (response) return response;
+
+  const auth = authenticate(req);
+  if (!auth.ok) return unauthorized(auth, headers);
+
+  try {
+    const store = openStore({ consistency: 'strong' });
+
+    if (req.method === 'GET') {
+      const id = new URL(req.url).searchParams.get('id') || '';
+      const request = PURGE_ID.test(id) ? await store.get(`${PURGE_PREFIX}${id}`, { type: 'json' }) : null;
+      if (!request) {
+        return new Response(JSON.stringify({ error: 'Purge request not found' }), {
+          status: 404,
+          headers
+        });
+      }
+      return new Response(JSON.stringify(request), { status: 200, headers });
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+        status: 400,
+        headers
+      });
+    }
+
+    const fields = PURGE_FIELDS.filter(field => body?.[field] !== undefined);
+    if (fields.length !== 1 || !isIdentifier(body[fields[0]])) {
+      return new Response(JSON.stringify({ error: `Provide exactly one of: ${PURGE_FIELDS.join(', ')}` }), {
+        status: 400,
+        headers
+      });
+    }
+
+    const now = Date.now();
+    const id = `${now.toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    const request = {
+      id,
+      match: { [fields[0]]: body[fields[0]] },
+      status: 'queued',
+      requestedAt: now,
+      requestedBy: auth.keyId,
+      nextDate: null,
+      removed: 0
+    };
+    await store.setJSON(`${PURGE_PREFIX}${id}`, request, { onlyIfNew: true });
+
+    return new Response(JSON.stringify(request), { status: 202, headers });
+
+  } catch (error) {
+    return internalError('Analytics purge error', error, headers);
+  }
+};
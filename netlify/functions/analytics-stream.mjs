@@ -0,0 +1,147 @@
+// BADSEED SOIL - Realtime Analytics Stream (ES Module / Netlify Functions v2)
+//
+// Server-Sent Events. Each stored event is pushed as `event: analytics` and
+// rolling counts (active visitors etc.) as `event: stats` after every poll.
+// A response only lives for SOIL_STREAM_SECONDS, under the function time
+// limit; every message's id is the newest event key sent, so a client
+// reconnecting with Last-Event-ID resumes where it left off.
+import { authenticate, unauthorized } from "../lib/auth.mjs";
+import { EVENT_KEY, eventKeyTime, readRecentEvents } from "../lib/events.mjs";
+import { openDashboardRequest } from "../lib/http.mjs";
+import { REALTIME_WINDOW_MS, summarizeRealtime, toStreamItem } from "../lib/realtime.mjs";
+import { readRealtimeRollups } from "../lib/rollups.mjs";
+import { openStore } from "../lib/store.mjs";
+
+const POLL_INTERVAL_MS = 2000;
+const RECONNECT_MS = 1000;
+const DEFAULT_STREAM_SECONDS = 9;
+
+// A blob lands a moment after the receive time in its key, so every poll
+// re-lists this far back and skips keys it has already sent
+const LOOKBACK_MS = 15000;
+
+// Most missed events pushed when a stream resumes
+const MAX_BACKFILL_EVENTS = 500;
+
+export default async (req, context) => {
+  const { headers, response } = openDashboardRequest(req, {
+    methods: ['GET'],
+    allowHeaders: ['Content-Type', 'Authorization', 'Last-Event-ID']
+  });
+  if (response) return response;
+
+  const auth = authenticate(req);
+  if (!auth.ok) return unauthorized(auth, headers);
+
+  const lastEventId = req.headers.get('last-event-id');
+  const resumeAfter = EVENT_KEY.test(lastEventId || '') ? lastEventId : null;
+  const streamMs = (parseInt(process.env.SOIL_STREAM_SECONDS, 10) || DEFAULT_STREAM_SECONDS) * 1000;
+
+  const store = openStore();
+  const encoder = new TextEncoder();
+  let closed = false;
+
+  const body = new ReadableStream({
+    async start(controller) {
+      const send = chunk => {
+        if (!closed) controller.enqueue(encoder.encode(chunk));
+      };
+
+      try {
+        await streamEvents(store, { resumeAfter, streamMs, send, isClosed: () => closed || req.signal?.aborted });
+      } catch (error) {
+        console.error('Analytics stream error:', error);
+        // Details stay in the function log, never in the response
+        send(message('error', { error: 'Internal error' }));
+      }
+
+      if (!closed) {
+        closed = true;
+        controller.close();
+      }
+    },
+    cancel() {
+      closed = true;
+    }
+  });
+
+  return new Response(body, {
+    status: 200,
+    headers: {
+      ...headers,
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform'
+    }
+  });
+};
+
+// Poll for new event keys until the stream's time is up. Counters come from
+// the realtime rollups; only the pushed events are read from raw blobs.
+async function streamEvents(store, { resumeAfter, streamMs, send, isClosed }) {
+  const deadline = Date.now() + streamMs;
+  const seen = new Map();
+  let cursor = resumeAfter || '';
+
+  const poll = async (since, now, limit) => {
+    const entries = await readRecentEvents(store, {
+      since,
+      now,
+      limit,
+      skip: key => seen.has(key) || (resumeAfter !== null && key <= resumeAfter)
+    }, { includeBots: true });
+
+    entries.forEach(({ key }) => {
+      seen.set(key, eventKeyTime(key));
+      if (key > cursor) cursor = key;
+    });
+    return entries.filter(({ event }) => !event.bot);
+  };
+
+  const readRollups = now => readRealtimeRollups(store, { since: now - REALTIME_WINDOW_MS, now });
+  const stats = (rollups, now) => message('stats', { generated: now, ...summarizeRealtime(rollups, now) }, cursor);
+
+  send(`retry: ${RECONNECT_MS}\n\n`);
+
+  // A resumed connection gets whatever it missed pushed. A fresh one only
+  // notes the keys the lookback would list again - the stats snapshot
+  // already carries the latest events.
+  let now = Date.now();
+  if (resumeAfter) {
+    const missed = await poll(now - REALTIME_WINDOW_MS, now, MAX_BACKFILL_EVENTS);
+    missed.forEach(({ key, event }) => send(message('analytics', toStreamItem(event), key)));
+  } else {
+    await poll(now - LOOKBACK_MS, now, Infinity);
+  }
+
+  // The snapshot lists the newest events, so a fresh connection resumes after them
+  const snapshot = await readRollups(now);
+  const newest = snapshot.recent.at(-1)?.key;
+  if (!resumeAfter && newest > cursor) cursor = newest;
+  send(stats(snapshot, now));
+
+  while (!isClosed() && Date.now() + POLL_INTERVAL_MS < deadline) {
+    await sleep(POLL_INTERVAL_MS);
+    if (isClosed()) break;
+
+    const lastPoll = now;
+    now = Date.now();
+    const fresh = await poll(lastPoll - LOOKBACK_MS, now, Infinity);
+    fresh.forEach(({ key, event }) => send(message('analytics', toStreamItem(event), key)));
+
+    // Forget keys too old to be listed again
+    seen.forEach((time, key) => {
+      if (time < now - 2 * LOOKBACK_MS) seen.delete(key);
+    });
+
+    send(stats(await readRollups(now), now));
+  }
+}
+
+// One SSE message; the id only changes once an event has been sent
+function message(type, data, id) {
+  return `${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -1,41 +1,28 @@
 // BADSEED SOIL - Analytics Tracking Function (ES Module / Netlify Functions v2)
-import { getStore } from "@netlify/blobs";
-
-// Event types we track
-const VALID_EVENTS = [
-  'page_view',
-  'page_exit',
-  'page_hidden',
-  'page_visible',
-  'card_hover_start',
-  'card_hover_end',
-  'card_click',
-  'iframe_hover_start',
-  'iframe_hover_end',
-  'iframe_ready',
-  'session_start',
-  'session_end'
-];
-
-// Generate a simple hash for session grouping
-function hashString(str) {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-  return Math.abs(hash).toString(36);
-}
+import { attribute, ATTRIBUTED_EVENTS } from "../lib/attribution.mjs";
+import { classifyEvents } from "../lib/bots.mjs";
+import { getDailySalt, hashVisitor, isVisitorHashingEnabled } from "../lib/identity.mjs";
+import { corsHeaders, internalError, isOriginAllowed, parseOrigins, siteOrigins } from "../lib/http.mjs";
+import { consumeRateLimit, MAX_PAYLOAD_BYTES } from "../lib/limits.mjs";
+import { updateRollups } from "../lib/rollups.mjs";
+import { updateStats } from "../lib/stats.mjs";
+import { openStore } from "../lib/store.mjs";
+import { utcDateHour } from "../lib/time.mjs";
+import { isIdentifier, validateEvent } from "../../schema.mjs";
+
+// Upper bound on events per request from the batching client
+const MAX_BATCH_SIZE = 50;
+
+// Base64url characters of the visitor hash keying a shared rate limit bucket (4096 buckets)
+const SHARED_LIMIT_PREFIX_LENGTH = 2;
 
 export default async (req, context) => {
-  // CORS headers
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Content-Type': 'application/json'
-  };
+  // CORS headers - public endpoint, but only the gateway origins may post from a browser
+  const allowedOrigins = [...parseOrigins(process.env.SOIL_GATEWAY_ORIGINS), ...siteOrigins(req)];
+  const headers = corsHeaders(req, {
+    allowedOrigins,
+    methods: ['POST', 'OPTIONS']
+  });
 
   // Handle preflight
   if (req.method === 'OPTIONS') {
@@ -49,13 +36,45 @@ export default async (req, context) => {
     });
   }
 
+  // Browsers always send Origin on cross-origin POSTs; reject foreign pages outright
+  const origin = req.headers.get('origin');
+  if (origin && !isOriginAllowed(origin, allowedOrigins)) {
+    return new Response(JSON.stringify({ error: 'Origin not allowed' }), {
+      status: 403,
+      headers
+    });
+  }
+
+  // Reject oversized bodies before reading them when the client declares a length
+  const declaredLength = parseInt(req.headers.get('content-length') || '0', 10);
+  if (declaredLength > MAX_PAYLOAD_BYTES) {
+    return payloadTooLarge(headers);
+  }
+
   try {
-    const body = await req.json();
-    const { event: eventType, page, card, data, sessionId, timestamp } = body;
+    const raw = await req.text();
+    if (Buffer.byteLength(raw) > MAX_PAYLOAD_BYTES) {
+      return payloadTooLarge(headers);
+    }
+
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch {
+      return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+        status: 400,
+        headers
+      });
+    }
 
-    // Validate event type
-    if (!eventType || !VALID_EVENTS.includes(eventType)) {
-      return new Response(JSON.stringify({ error: 'Invalid event type' }), {
+    // Accept a single event, a bare array, or { events: [...] } from the batching client
+    const isBatch = Array.isArray(body) || Array.isArray(body?.events);
+    const incoming = Array.isArray(body) ? body : isBatch ? body.events : [body];
+
+    if (incoming.length === 0 || incoming.length > MAX_BATCH_SIZE) {
+      return new Response(JSON.stringify({
+        error: `Batch must contain between 1 and ${MAX_BATCH_SIZE} events`
+      }), {
         status: 400,
         headers
       });
@@ -69,139 +88,163 @@ export default async (req, context) => {
       country: req.headers.get('x-country') || 'unknown'
     };
 
-    // Create visitor fingerprint
-    const visitorHash = hashString(clientInfo.ip + clientInfo.userAgent.substring(0, 50));
-
-    // Build event record
-    const eventRecord = {
-      event: eventType,
-      page: page || 'gateway',
-      card: card || null,
-      data: data || {},
-      sessionId: sessionId || null,
-      visitorHash,
-      timestamp: timestamp || Date.now(),
-      serverTime: Date.now(),
-      client: {
-        country: clientInfo.country,
-        referer: clientInfo.referer
-      }
-    };
+    // Raw events and rollups are both keyed by the UTC date and hour of receipt
+    const now = Date.now();
+    const { date: today, hour } = utcDateHour(now);
+
+    // Get the store - strong consistency so conditional stats writes see the latest etag
+    const store = openStore({ consistency: 'strong' });
+
+    // Keyed visitor hash under today's salt - countable within a day, unlinkable across days.
+    // It is only attached to events with full consent.
+    const clientHash = hashVisitor(await getDailySalt(store, today), clientInfo.ip, clientInfo.userAgent);
+    const visitorHash = isVisitorHashingEnabled() ? clientHash : null;
+
+    // Without full consent, or with hashing off, the visitor rate limit is keyed
+    // by a short prefix of the hash: a bucket shared with other visitors, so no
+    // limiter blob stands for a single one
+    const identified = visitorHash && incoming.every(item => item?.consent === 'full');
+    const limiterId = identified ? clientHash : clientHash.slice(0, SHARED_LIMIT_PREFIX_LENGTH);
+
+    const limited = await checkRateLimits(store, limiterId, incoming, now);
+    if (limited) {
+      return new Response(JSON.stringify({
+        error: 'Rate limit exceeded',
+        retryAfter: limited.retryAfter
+      }), {
+        status: 429,
+        headers: { ...headers, 'Retry-After': String(limited.retryAfter) }
+      });
+    }
 
-    const today = new Date().toISOString().split('T')[0];
-    const hour = new Date().getHours().toString().padStart(2, '0');
+    // Validate each event on its own so one bad entry doesn't sink the batch
+    const results = [];
+    const accepted = [];
 
-    // Get the store - in Netlify Functions v2, context is automatically available
-    const store = getStore('soil-analytics');
+    incoming.forEach((item, index) => {
+      const error = validateEvent(item);
+      if (error) {
+        results.push({ index, success: false, error });
+        return;
+      }
+      const eventRecord = buildEventRecord(item, visitorHash, clientInfo, allowedOrigins, now);
+
+      // Aggregate-only events feed the counters but are never stored individually.
+      // The batch index keeps a batch's keys in the order it was sent.
+      const eventKey = eventRecord.consent === 'full'
+        ? `events/${today}/${hour}/${now}-${String(index).padStart(2, '0')}${Math.random().toString(36).substr(2, 9)}`
+        : null;
+      results.push({ index, success: true, eventKey });
+      accepted.push({ eventKey, eventRecord });
+    });
+
+    if (!isBatch && accepted.length === 0) {
+      return new Response(JSON.stringify({ error: results[0].error }), {
+        status: 400,
+        headers
+      });
+    }
 
-    // Store individual event
-    const eventKey = `events/${today}/${hour}/${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    await store.setJSON(eventKey, eventRecord);
+    // Flag crawler, replayed and out-of-sequence traffic before anything is written
+    await classifyEvents(store, accepted.map(a => a.eventRecord), clientInfo.userAgent);
+
+    // Store individual events
+    await Promise.all(accepted.filter(a => a.eventKey).map(({ eventKey, eventRecord }) =>
+      store.setJSON(eventKey, eventRecord)
+    ));
+
+    // Update aggregated stats and the realtime rollups once for the whole batch
+    if (accepted.length > 0) {
+      // Anonymous visitors still count towards unique and active visitors, by
+      // a hash that only ever reaches the sketch and the minute rollups
+      const visitor = record => record.visitorHash || record.sessionId || visitorHash;
+      await updateStats(store, accepted.map(a => a.eventRecord), { visitor });
+      await updateRollups(store, accepted.map(a => ({ key: a.eventKey, event: a.eventRecord })), { visitor });
+    }
 
-    // Update aggregated stats
-    await updateStats(store, eventRecord, today);
+    if (!isBatch) {
+      return new Response(JSON.stringify({
+        success: true,
+        mode: 'production-blobs',
+        eventKey: accepted[0].eventKey
+      }), {
+        status: 200,
+        headers
+      });
+    }
 
     return new Response(JSON.stringify({
-      success: true,
+      success: accepted.length > 0,
       mode: 'production-blobs',
-      eventKey
+      accepted: accepted.length,
+      rejected: results.length - accepted.length,
+      results
     }), {
-      status: 200,
+      status: accepted.length > 0 ? 200 : 400,
       headers
     });
 
   } catch (error) {
-    console.error('Analytics error:', error);
-    return new Response(JSON.stringify({
-      error: 'Internal error',
-      details: error.message,
-      stack: error.stack
-    }), {
-      status: 500,
-      headers
-    });
+    return internalError('Analytics error', error, headers);
   }
 };
 
-// Update aggregated statistics
-async function updateStats(store, event, date) {
-  const statsKey = `stats/${date}`;
-
-  let stats;
-  try {
-    stats = await store.get(statsKey, { type: 'json' });
-  } catch {
-    stats = null;
-  }
-
-  if (!stats) {
-    stats = {
-      date,
-      pageViews: 0,
-      uniqueVisitors: [],
-      cardHovers: { voice: 0, value: 0, agent: 0 },
-      cardClicks: { voice: 0, value: 0, agent: 0 },
-      cardHoverTime: { voice: 0, value: 0, agent: 0 },
-      sessions: 0,
-      totalSessionDuration: 0,
-      countries: {},
-      referers: {},
-      hourlyActivity: Array(24).fill(0),
-      lastUpdated: Date.now()
-    };
-  }
-
-  // Update based on event type
-  switch (event.event) {
-    case 'page_view':
-      stats.pageViews++;
-      if (!stats.uniqueVisitors.includes(event.visitorHash)) {
-        stats.uniqueVisitors.push(event.visitorHash);
-      }
-      break;
-    case 'session_start':
-      stats.sessions++;
-      break;
-    case 'card_hover_start':
-      if (event.card && stats.cardHovers[event.card] !== undefined) {
-        stats.cardHovers[event.card]++;
-      }
-      break;
-    case 'card_hover_end':
-      if (event.card && event.data?.duration && stats.cardHoverTime[event.card] !== undefined) {
-        stats.cardHoverTime[event.card] += event.data.duration;
-      }
-      break;
-    case 'card_click':
-      if (event.card && stats.cardClicks[event.card] !== undefined) {
-        stats.cardClicks[event.card]++;
-      }
-      break;
-    case 'session_end':
-      if (event.data?.duration) {
-        stats.totalSessionDuration += event.data.duration;
-      }
-      break;
-  }
+function payloadTooLarge(headers) {
+  return new Response(JSON.stringify({
+    error: `Payload exceeds ${MAX_PAYLOAD_BYTES} bytes`
+  }), {
+    status: 413,
+    headers
+  });
+}
 
-  // Update country stats
-  if (event.client?.country && event.client.country !== 'unknown') {
-    stats.countries[event.client.country] = (stats.countries[event.client.country] || 0) + 1;
-  }
+// Charge the batch against the visitor and each session it mentions.
+// Returns the first exhausted limit, or null when the batch may proceed.
+async function checkRateLimits(store, limiterId, incoming, now) {
+  const visitor = await consumeRateLimit(store, 'visitor', limiterId, incoming.length, now);
+  if (!visitor.allowed) return visitor;
+
+  const perSession = {};
+  incoming.forEach(item => {
+    // Not validated yet - a malformed ID is left for validateEvent to reject
+    // and never reaches a limiter key
+    if (isIdentifier(item?.sessionId)) {
+      perSession[item.sessionId] = (perSession[item.sessionId] || 0) + 1;
+    }
+  });
 
-  // Update referer stats
-  if (event.client?.referer && event.client.referer !== 'direct') {
-    try {
-      const refHost = new URL(event.client.referer).hostname;
-      stats.referers[refHost] = (stats.referers[refHost] || 0) + 1;
-    } catch {}
+  for (const [sessionId, count] of Object.entries(perSession)) {
+    const session = await consumeRateLimit(store, 'session', sessionId, count, now);
+    if (!session.allowed) return session;
   }
 
-  // Update hourly activity
-  const eventHour = new Date(event.timestamp).getHours();
-  stats.hourlyActivity[eventHour]++;
-
-  stats.lastUpdated = Date.now();
+  return null;
+}
 
-  await store.setJSON(statsKey, stats);
+// Build an event record. Anything short of full consent is anonymized:
+// no session, no visitor hash. Page views and card clicks are attributed to a
+// campaign, where a referrer from one of our own origins counts as direct.
+function buildEventRecord(item, visitorHash, clientInfo, ownOrigins, now) {
+  const { event: eventType, page, card, data, sessionId, timestamp } = item;
+  const consent = item.consent === 'full' ? 'full' : 'aggregate';
+  const identified = consent === 'full';
+
+  return {
+    event: eventType,
+    page: page || 'gateway',
+    card: card || null,
+    data: data || {},
+    consent,
+    sessionId: identified ? sessionId || null : null,
+    visitorHash: identified ? visitorHash : null,
+    timestamp: timestamp || now,
+    serverTime: now,
+    client: {
+      country: clientInfo.country,
+      referer: clientInfo.referer
+    },
+    attribution: ATTRIBUTED_EVENTS.includes(eventType)
+      ? attribute(data, clientInfo.referer, ownOrigins)
+      : null
+  };
 }
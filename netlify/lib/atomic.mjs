@@ -0,0 +1,52 @@
+// BADSEED SOIL - Optimistic read-modify-write for JSON blobs
+//
+// The read is made with its etag and the write is conditional on it: if another
+// invocation wrote the key in between, the write is rejected and update() runs
+// again on the fresh value. Requires a store opened with strong consistency.
+
+const MAX_ATTEMPTS = 12;
+const BASE_BACKOFF_MS = 20;
+const MAX_BACKOFF_MS = 1000;
+
+// update(current) receives the stored value (or null) and returns the value to
+// write, or undefined to leave the blob untouched. Resolves to
+// { value, written } once a write lands or update() declines.
+export async function updateJSON(store, key, update) {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const current = await store.getWithMetadata(key, { type: 'json' });
+    const next = update(current ? current.data : null);
+
+    if (next === undefined) {
+      return { value: current ? current.data : null, written: false };
+    }
+
+    const { modified } = current
+      ? await store.setJSON(key, next, { onlyIfMatch: current.etag })
+      : await store.setJSON(key, next, { onlyIfNew: true });
+
+    if (modified) {
+      return { value: next, written: true };
+    }
+
+    await sleep(backoff(attempt));
+  }
+
+  throw new Error(`Could not update ${key} after ${MAX_ATTEMPTS} attempts`);
+}
+
+// Add `by` to the number stored at key, a missing key counting as 0.
+// Resolves to the new value.
+export async function increment(store, key, by = 1) {
+  const { value } = await updateJSON(store, key, current => (typeof current === 'number' ? current : 0) + by);
+  return value;
+}
+
+// Jittered exponential backoff so colliding writers spread out
+function backoff(attempt) {
+  const ceiling = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return Math.random() * ceiling;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,98 @@
+// BADSEED SOIL - Campaign attribution for page views and card clicks
+//
+// Source, medium and campaign come from the utm_* params the gateway captured
+// on the session's landing page. Without them, a referrer on another site is a
+// referral from that host and anything else counts as direct.
+import { CARDS, perCard } from '../../schema.mjs';
+
+export const DIRECT = '(direct)';
+export const NONE = '(none)';
+
+// Events that carry attribution and are broken down by it
+export const ATTRIBUTED_EVENTS = ['page_view', 'card_click'];
+
+// Distinct campaigns kept per hour bucket; the rest are folded into OTHER
+export const MAX_HOUR_CAMPAIGNS = 100;
+const OTHER = '(other)';
+
+// Source, medium and campaign for an event's data. `referer` is the request
+// header, used when the gateway sent no document referrer; links within the
+// site's own origins are not referrals.
+export function attribute(data, referer, ownOrigins = []) {
+  const source = normalize(data?.utm_source);
+  if (source) {
+    return {
+      source,
+      medium: normalize(data.utm_medium) || NONE,
+      campaign: normalize(data.utm_campaign) || NONE
+    };
+  }
+
+  const host = externalHost(data?.referrer || referer, ownOrigins);
+  return host
+    ? { source: host, medium: 'referral', campaign: NONE }
+    : { source: DIRECT, medium: NONE, campaign: NONE };
+}
+
+// Rollup key for an attribution, e.g. "x|social|launch"
+export function campaignKey({ source, medium, campaign }) {
+  return [source, medium, campaign].join('|');
+}
+
+// Count an attributed page view or card click into a bucket's campaigns
+export function addToCampaigns(campaigns, event) {
+  let key = campaignKey(event.attribution);
+  if (!campaigns[key] && Object.keys(campaigns).length >= MAX_HOUR_CAMPAIGNS) {
+    key = campaignKey({ source: OTHER, medium: OTHER, campaign: OTHER });
+  }
+
+  const counts = campaigns[key] = campaigns[key] || { pageViews: 0, cardClicks: perCard() };
+  if (event.event === 'page_view') counts.pageViews++;
+  if (event.event === 'card_click' && event.card) {
+    counts.cardClicks[event.card] = (counts.cardClicks[event.card] || 0) + 1;
+  }
+}
+
+// Add source campaign counters into target in place
+export function mergeCampaigns(target, source) {
+  Object.entries(source || {}).forEach(([key, counts]) => {
+    const merged = target[key] = target[key] || { pageViews: 0, cardClicks: perCard() };
+    merged.pageViews += counts.pageViews || 0;
+    Object.entries(counts.cardClicks || {}).forEach(([card, clicks]) => {
+      merged.cardClicks[card] = (merged.cardClicks[card] || 0) + clicks;
+    });
+  });
+  return target;
+}
+
+// Top campaigns by page views, then clicks, with per-card clicks
+export function summarizeCampaigns(campaigns, limit = 10) {
+  return Object.entries(campaigns)
+    .map(([key, counts]) => {
+      const [source, medium, campaign] = key.split('|');
+      const cardClicks = perCard();
+      CARDS.forEach(card => {
+        cardClicks[card] = counts.cardClicks[card] || 0;
+      });
+      const clicks = Object.values(counts.cardClicks).reduce((sum, n) => sum + n, 0);
+      return { source, medium, campaign, pageViews: counts.pageViews, clicks, cardClicks };
+    })
+    .sort((a, b) => b.pageViews - a.pageViews || b.clicks - a.clicks ||
+      campaignKey(a).localeCompare(campaignKey(b)))
+    .slice(0, limit);
+}
+
+// utm values are matched case-insensitively; "|" is reserved for rollup keys
+function normalize(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase().replace(/\|/g, '').slice(0, 100) : '';
+}
+
+function externalHost(url, ownOrigins) {
+  if (!url || url === 'direct') return null;
+  try {
+    const { hostname, origin } = new URL(url);
+    return ownOrigins.includes(origin) ? null : hostname;
+  } catch {
+    return null;
+  }
+}
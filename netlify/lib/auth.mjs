@@ -0,0 +1,61 @@
+// BADSEED SOIL - API authentication for the analytics read endpoints
+//
+// Two credential types are accepted as "Authorization: Bearer <credential>":
+//   - SOIL_ANALYTICS_TOKEN: one or more shared tokens, comma-separated
+//   - signed API keys "<keyId>.<signature>", where signature is the base64url
+//     HMAC-SHA256 of keyId under SOIL_API_KEY_SECRET. Issue one with
+//     SOIL_API_KEY_SECRET=... node -e "import('./netlify/lib/auth.mjs').then(a => console.log(a.createApiKey('dashboard')))"
+// With neither variable set, every request is refused.
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+export function createApiKey(keyId, secret = process.env.SOIL_API_KEY_SECRET) {
+  return `${keyId}.${sign(keyId, secret)}`;
+}
+
+// Returns { ok: true, keyId } or { ok: false, status, error }
+export function authenticate(req) {
+  const tokens = (process.env.SOIL_ANALYTICS_TOKEN || '').split(',').map(t => t.trim()).filter(Boolean);
+  const secret = process.env.SOIL_API_KEY_SECRET;
+
+  if (tokens.length === 0 && !secret) {
+    return { ok: false, status: 503, error: 'Analytics API is not configured' };
+  }
+
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.get('authorization') || '');
+  if (!match) {
+    return { ok: false, status: 401, error: 'Missing bearer token' };
+  }
+  const credential = match[1];
+
+  if (tokens.some(token => safeEqual(credential, token))) {
+    return { ok: true, keyId: 'token' };
+  }
+
+  const dot = credential.lastIndexOf('.');
+  if (secret && dot > 0) {
+    const keyId = credential.slice(0, dot);
+    if (safeEqual(credential.slice(dot + 1), sign(keyId, secret))) {
+      return { ok: true, keyId };
+    }
+  }
+
+  return { ok: false, status: 401, error: 'Invalid credentials' };
+}
+
+// Response refusing a failed authenticate() result
+export function unauthorized(auth, headers) {
+  return new Response(JSON.stringify({ error: auth.error }), {
+    status: auth.status,
+    headers: { ...headers, 'WWW-Authenticate': 'Bearer' }
+  });
+}
+
+function sign(keyId, secret) {
+  return createHmac('sha256', secret).update(keyId).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
@@ -0,0 +1,96 @@
+// BADSEED SOIL - Bot and crawler classification at ingestion
+// Flagged events are still stored for inspection but never reach stats/ rollups.
+import { addDays, utcDateHour } from './time.mjs';
+
+// Crawlers, link-preview fetchers, headless browsers and HTTP libraries
+const BOT_USER_AGENT = /bot\b|crawl|spider|slurp|scrap|headless|phantomjs|puppeteer|playwright|selenium|lighthouse|preview|facebookexternalhit|embedly|whatsapp|curl\/|wget\/|python-|httpclient|okhttp|axios\/|node-fetch|undici|go-http-client|java\/|libwww|postman/i;
+
+// Client clocks further than this from the server are not trusted
+export const MAX_CLOCK_SKEW_MS = 10 * 60 * 1000;
+
+// Events that open a session - anything else needs one of these first
+const SESSION_OPENERS = ['page_view', 'session_start'];
+
+// Markers of opened sessions, sessions/<utc-date>/<sessionId>. A session is
+// looked up under its own day and the one before, so it may run past
+// midnight; retention deletes older days (see maintenance.mjs).
+export const SESSION_PREFIX = 'sessions/';
+
+// Attach { bot: { reasons } } to each suspicious event record in place.
+// records must be in the order the client sent them.
+export async function classifyEvents(store, records, userAgent) {
+  const uaReason = classifyUserAgent(userAgent);
+  const openedSessions = await findOpenedSessions(store, records);
+
+  records.forEach(record => {
+    const reasons = [];
+
+    if (uaReason) reasons.push(uaReason);
+
+    if (Math.abs(record.timestamp - record.serverTime) > MAX_CLOCK_SKEW_MS) {
+      reasons.push('clock_skew');
+    }
+
+    // Anonymous (aggregate-only) events carry no session, so order can't be checked
+    if (record.sessionId) {
+      if (SESSION_OPENERS.includes(record.event)) {
+        openedSessions.add(record.sessionId);
+      } else if (!openedSessions.has(record.sessionId)) {
+        reasons.push('no_page_view');
+      }
+    }
+
+    if (reasons.length > 0) {
+      record.bot = { reasons };
+    }
+  });
+
+  await rememberSessions(store, records);
+}
+
+function classifyUserAgent(userAgent) {
+  if (!userAgent || userAgent === 'unknown') return 'missing_user_agent';
+  if (BOT_USER_AGENT.test(userAgent)) return 'bot_user_agent';
+  return null;
+}
+
+// Sessions in this batch that already opened in an earlier request
+async function findOpenedSessions(store, records) {
+  const pending = new Set();
+  const openedHere = new Set();
+
+  records.forEach(record => {
+    if (!record.sessionId) return;
+    if (SESSION_OPENERS.includes(record.event)) {
+      openedHere.add(record.sessionId);
+    } else if (!openedHere.has(record.sessionId)) {
+      pending.add(record.sessionId);
+    }
+  });
+
+  const opened = new Set();
+  if (pending.size === 0) return opened;
+
+  const { date } = utcDateHour(records[0].serverTime);
+  await Promise.all([...pending].map(async sessionId => {
+    const markers = await Promise.all([date, addDays(date, -1)].map(day =>
+      store.get(`${SESSION_PREFIX}${day}/${sessionId}`, { type: 'json' }).catch(() => null)
+    ));
+    if (markers.some(Boolean)) opened.add(sessionId);
+  }));
+  return opened;
+}
+
+// Mark sessions opened by a clean event so later batches can be checked
+async function rememberSessions(store, records) {
+  const opened = new Map();
+  records.forEach(record => {
+    if (record.sessionId && !record.bot && SESSION_OPENERS.includes(record.event)) {
+      opened.set(record.sessionId, record.serverTime);
+    }
+  });
+
+  await Promise.all([...opened].map(([sessionId, firstSeen]) =>
+    store.setJSON(`${SESSION_PREFIX}${utcDateHour(firstSeen).date}/${sessionId}`, { firstSeen }, { onlyIfNew: true })
+  ));
+}
@@ -0,0 +1,153 @@
+// BADSEED SOIL - Paged, filtered queries over the whole raw event history
+//
+// Backs analytics-get?type=events. Events are walked in key (receive time)
+// order, one UTC hour at a time. Compacted and loose hours alike, see events.mjs.
+// A page ends when it holds `limit` events or the scan runs out of time. Either
+// way, nextCursor continues right after the last position examined, so a
+// narrow filter over a long history simply takes more pages.
+import { eventDates, eventHours, eventKeyTime, readHour } from './events.mjs';
+import { readRecentBuffer, RECENT_BUFFER_SIZE } from './rollups.mjs';
+import { utcDateHour } from './time.mjs';
+import { CARDS, EVENT_TYPES } from '../../schema.mjs';
+
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 500;
+
+const ORDERS = ['desc', 'asc'];
+const COUNTRY = /^([A-Z]{2}|unknown)$/;
+
+// Query params -> query, or { error }.
+//   limit              - page size (default 100, max 500)
+//   order              - desc (newest first, default) or asc
+//   cursor             - nextCursor of the previous page
+//   event, card,       - comma-separated values to match
+//   country
+//   sessionId          - a single session
+//   since, until       - receive time bounds, ISO 8601 or epoch ms (inclusive)
+export function parseEventQuery(params) {
+  const limit = params.has('limit') ? Number(params.get('limit')) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const order = params.get('order') || 'desc';
+  if (!ORDERS.includes(order)) {
+    return { error: `order must be one of: ${ORDERS.join(', ')}` };
+  }
+
+  let position = null;
+  if (params.get('cursor')) {
+    position = decodeCursor(params.get('cursor'), order);
+    if (!position) return { error: 'cursor is not from a previous page in this order' };
+  }
+
+  const filters = {};
+  const lists = { event: EVENT_TYPES, card: CARDS, country: null };
+  for (const [name, allowed] of Object.entries(lists)) {
+    if (!params.get(name)) continue;
+    const values = params.get(name).split(',').map(v => name === 'country' && v.length === 2 ? v.toUpperCase() : v);
+    const invalid = values.find(v => allowed ? !allowed.includes(v) : !COUNTRY.test(v));
+    if (invalid !== undefined) return { error: `Unknown ${name}: ${invalid}` };
+    filters[name] = values;
+  }
+  if (params.get('sessionId')) {
+    if (params.get('sessionId').length > 64) return { error: 'Invalid sessionId' };
+    filters.sessionId = params.get('sessionId');
+  }
+
+  const since = params.get('since') ? parseTime(params.get('since')) : null;
+  const until = params.get('until') ? parseTime(params.get('until')) : null;
+  if (Number.isNaN(since) || Number.isNaN(until)) {
+    return { error: 'since and until must be ISO 8601 times or epoch milliseconds' };
+  }
+  if (since !== null && until !== null && since > until) {
+    return { error: 'since must not be after until' };
+  }
+
+  return { limit, order, position, filters, since, until };
+}
+
+// One page of matching events as { events: [{ key, event }], nextCursor }
+export async function queryEvents(store, query, { deadline = Infinity } = {}) {
+  const { limit, order, filters, since, until } = query;
+  const desc = order === 'desc';
+  let position = query.position;
+
+  // The first page of everything, newest first, is in the ring buffer
+  // (rollups.mjs) once that holds enough events
+  const unfiltered = Object.keys(filters).length === 0 && since === null && until === null;
+  if (desc && !position && unfiltered && limit <= RECENT_BUFFER_SIZE) {
+    const recent = await readRecentBuffer(store);
+    if (recent.length >= limit) {
+      const events = recent.slice(-limit).reverse();
+      return { events, nextCursor: encodeCursor(order, events[events.length - 1].key) };
+    }
+  }
+
+  const beyond = key => !position || (desc ? key < position : key > position);
+  const inWindow = key => {
+    const time = eventKeyTime(key);
+    return (since === null || time >= since) && (until === null || time <= until);
+  };
+
+  const firstDate = since === null ? '' : utcDateHour(since).date;
+  const lastDate = until === null ? '9999-12-31' : utcDateHour(until).date;
+  const dates = (await eventDates(store)).filter(date => date >= firstDate && date <= lastDate);
+  if (desc) dates.reverse();
+
+  const events = [];
+  let scanned = false;
+
+  for (const utcDate of dates) {
+    const hours = await eventHours(store, utcDate);
+    if (desc) hours.reverse();
+
+    for (const hour of hours) {
+      const prefix = `events/${utcDate}/${hour}/`;
+      // An hour sorts below all of its keys; asc positions end with "~", above them
+      const end = desc ? prefix : `${prefix}~`;
+      if (position && (desc ? end >= position : end <= position)) continue;
+
+      if (scanned && Date.now() > deadline) {
+        return { events, nextCursor: encodeCursor(order, position) };
+      }
+
+      const entries = await readHour(store, utcDate, hour, key => beyond(key) && inWindow(key));
+      if (desc) entries.reverse();
+      scanned = true;
+
+      for (const entry of entries) {
+        if (!matches(entry.event, filters)) continue;
+        events.push(entry);
+        if (events.length === limit) {
+          return { events, nextCursor: encodeCursor(order, entry.key) };
+        }
+      }
+      position = end;
+    }
+  }
+
+  return { events, nextCursor: null };
+}
+
+function matches(event, { event: types, card, country, sessionId }) {
+  return (!types || types.includes(event.event)) &&
+    (!card || card.includes(event.card)) &&
+    (!country || country.includes(event.client?.country)) &&
+    (!sessionId || event.sessionId === sessionId);
+}
+
+function parseTime(value) {
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+// Cursors are opaque to clients: the order and the last position examined
+function encodeCursor(order, position) {
+  return Buffer.from(`${order}|${position}`).toString('base64url');
+}
+
+function decodeCursor(cursor, order) {
+  const [cursorOrder, position] = Buffer.from(cursor, 'base64url').toString().split('|');
+  const valid = /^events\/\d{4}-\d{2}-\d{2}\/\d{2}\/[0-9a-z~-]*$/.test(position || '');
+  return cursorOrder === order && valid ? position : null;
+}
@@ -0,0 +1,244 @@
+// BADSEED SOIL - Raw event reader
+// Events are written to events/<utc-date>/<utc-hour>/<receivedAt>-<id>. Once an
+// hour is over, maintenance.mjs compacts its events into a single NDJSON
+// segment at segments/<utc-date>/<utc-hour>, one { key, event } per line, so
+// readers merge both and treat the original key as the event's identity.
+import { addDays, datesBetween, utcDateHour, zonedDateHour } from './time.mjs';
+
+const HOUR_MS = 3600000;
+const HOURS = Array.from({ length: 24 }, (_, h) => String(h).padStart(2, '0'));
+
+// Parallel blob reads per batch - keeps memory and open requests bounded
+export const READ_CONCURRENCY = 20;
+
+export const segmentKey = (utcDate, hour) => `segments/${utcDate}/${hour}`;
+
+// Read every event whose local date (in tz) falls within [from, to].
+// Events flagged as bot traffic are skipped unless includeBots is set.
+export async function readEvents(store, { from, to, tz }, { includeBots = false } = {}) {
+  const events = [];
+
+  // A local day can straddle two UTC dates, so scan one extra day on each side
+  for (const utcDate of datesBetween(addDays(from, -1), addDays(to, 1))) {
+    try {
+      for await (const batch of eventBatches(store, utcDate)) {
+        batch.forEach(({ event }) => {
+          if (event.bot && !includeBots) return;
+          if (isWithin(event, { from, to, tz })) events.push(event);
+        });
+      }
+    } catch (e) {
+      continue;
+    }
+  }
+
+  return events;
+}
+
+// Every stored event of one UTC date as batches of { key, event }, in key
+// order, whether compacted or not. With `after`, only keys sorting after it.
+export async function* eventBatches(store, utcDate, { after = '' } = {}) {
+  const { blobs } = await store.list({ prefix: `segments/${utcDate}/` });
+  const compacted = (blobs || []).map(({ key }) => key.slice(-2)).sort();
+
+  // The next compacted hour's segment is read while this one's entries are
+  // yielded, so no more than two segments are held at once
+  const segments = new Map();
+  const readAhead = hour => {
+    if (!hour || segments.has(hour)) return;
+    const read = readSegment(store, utcDate, hour);
+    read.catch(() => {}); // awaited, and rethrown, once its hour comes up
+    segments.set(hour, read);
+  };
+
+  const loose = looseKeys(store, utcDate);
+  let pending = await loose.next();
+
+  for (const hour of HOURS) {
+    const prefix = `events/${utcDate}/${hour}/`;
+    let keys = [];
+    while (!pending.done && pending.value.startsWith(prefix)) {
+      if (pending.value > after) keys.push(pending.value);
+      pending = await loose.next();
+    }
+    if (after && prefix < after.slice(0, prefix.length)) continue;
+
+    if (!compacted.includes(hour)) {
+      for (let i = 0; i < keys.length; i += READ_CONCURRENCY) {
+        const batch = await readKeys(store, keys.slice(i, i + READ_CONCURRENCY));
+        if (batch.length) yield batch;
+      }
+      continue;
+    }
+
+    readAhead(hour);
+    readAhead(compacted.find(later => later > hour));
+    const segment = await segments.get(hour);
+    segments.delete(hour);
+
+    // Blobs still next to a segment were written late or are left over from
+    // an interrupted compaction; the segment copy wins
+    const inSegment = new Set(segment.map(({ key }) => key));
+    keys = keys.filter(key => !inSegment.has(key));
+
+    const entries = [...segment.filter(({ key }) => key > after), ...await readKeys(store, keys)]
+      .sort(byKey);
+    for (let i = 0; i < entries.length; i += READ_CONCURRENCY) {
+      yield entries.slice(i, i + READ_CONCURRENCY);
+    }
+  }
+}
+
+// Keys of uncompacted events under one UTC date, a page of the store listing at a time
+export async function* eventKeyPages(store, utcDate) {
+  for await (const { blobs } of store.list({ prefix: `events/${utcDate}/`, paginate: true })) {
+    yield (blobs || []).map(blob => blob.key);
+  }
+}
+
+// Every stored event of one UTC hour as { key, event }, in key order.
+// include(key) picks the keys worth reading.
+export async function readHour(store, utcDate, hour, include = () => true) {
+  const segment = (await readSegment(store, utcDate, hour)).filter(({ key }) => include(key));
+  const inSegment = new Set(segment.map(({ key }) => key));
+
+  const keys = [];
+  for await (const { blobs } of store.list({ prefix: `events/${utcDate}/${hour}/`, paginate: true })) {
+    (blobs || []).forEach(({ key }) => {
+      if (!inSegment.has(key) && include(key)) keys.push(key);
+    });
+  }
+
+  return [...segment, ...await readKeys(store, keys)].sort(byKey);
+}
+
+// UTC dates with at least one blob under prefix
+export async function listDates(store, prefix) {
+  const { directories } = await store.list({ prefix, directories: true });
+  return (directories || []).map(dir => dir.replace(/\/$/, '').slice(prefix.length)).sort();
+}
+
+// UTC dates holding events, compacted or not
+export async function eventDates(store) {
+  const [loose, compacted] = await Promise.all([listDates(store, 'events/'), listDates(store, 'segments/')]);
+  return [...new Set([...loose, ...compacted])].sort();
+}
+
+// UTC hours ("00"-"23") of a date holding events, compacted or not
+export async function eventHours(store, utcDate) {
+  const [loose, compacted] = await Promise.all([
+    store.list({ prefix: `events/${utcDate}/`, directories: true }),
+    store.list({ prefix: `segments/${utcDate}/` })
+  ]);
+  return [...new Set([
+    ...(loose.directories || []).map(dir => dir.replace(/\/$/, '').slice(-2)),
+    ...(compacted.blobs || []).map(({ key }) => key.slice(-2))
+  ])].sort();
+}
+
+async function* looseKeys(store, utcDate) {
+  for await (const keys of eventKeyPages(store, utcDate)) yield* keys;
+}
+
+// Read event blobs as { key, event }, in batches; missing blobs are left out
+export async function readKeys(store, keys) {
+  const entries = [];
+  for (let i = 0; i < keys.length; i += READ_CONCURRENCY) {
+    const batch = keys.slice(i, i + READ_CONCURRENCY);
+    const events = await Promise.all(batch.map(key =>
+      store.get(key, { type: 'json' }).catch(() => null)
+    ));
+    events.forEach((event, j) => {
+      if (event) entries.push({ key: batch[j], event });
+    });
+  }
+  return entries;
+}
+
+// Entries of one compacted hour; [] when it hasn't been compacted
+export async function readSegment(store, utcDate, hour) {
+  return parseSegment(await store.get(segmentKey(utcDate, hour), { type: 'text' }));
+}
+
+export function parseSegment(text) {
+  return (text || '').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+export function formatSegment(entries) {
+  return entries.map(entry => JSON.stringify(entry) + '\n').join('');
+}
+
+export function byKey(a, b) {
+  return a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+}
+
+// Whether an event's local date (in tz) falls within [from, to]
+export function isWithin(event, { from, to, tz }) {
+  const { date } = zonedDateHour(event.serverTime || event.timestamp, tz);
+  return date >= from && date <= to;
+}
+
+// A loose event blob's key: events/<utc-date>/<utc-hour>/<receive time ms>-<suffix>
+export const EVENT_KEY = /^events\/\d{4}-\d{2}-\d{2}\/\d{2}\/\d+-[a-z0-9]+$/;
+
+// Receive time encoded in an event key
+export function eventKeyTime(key) {
+  return parseInt(key.slice(key.lastIndexOf('/') + 1), 10);
+}
+
+// Events received since `since` (ms), oldest first, as { key, event }.
+// Only the UTC hours the interval touches are looked at, and keys are
+// filtered on their receive time before any blob is read.
+//   limit - keep only the newest N keys
+//   skip  - key predicate, e.g. keys a caller has already seen
+// Bot traffic is left out unless includeBots is set, as in readEvents.
+export async function readRecentEvents(store, { since, now = Date.now(), limit = Infinity, skip = () => false },
+  { includeBots = false } = {}) {
+  const wanted = key => eventKeyTime(key) >= since && !skip(key);
+  // Compacted events arrive already read; loose ones are only keys so far
+  let candidates = [];
+
+  for (let t = since - (since % HOUR_MS); t <= now; t += HOUR_MS) {
+    const { date, hour } = utcDateHour(t);
+    try {
+      const segment = await readSegment(store, date, hour);
+      const inSegment = new Set(segment.map(({ key }) => key));
+      segment.forEach(entry => {
+        if (wanted(entry.key)) candidates.push(entry);
+      });
+
+      const { blobs } = await store.list({ prefix: `events/${date}/${hour}/` });
+      (blobs || []).forEach(({ key }) => {
+        if (!inSegment.has(key) && wanted(key)) candidates.push({ key });
+      });
+    } catch (e) {
+      // A missing hour just has no events
+    }
+  }
+  candidates = candidates.sort(byKey).slice(-limit);
+
+  const read = new Map((await readKeys(store, candidates.filter(c => !c.event).map(c => c.key)))
+    .map(({ key, event }) => [key, event]));
+
+  return candidates
+    .map(({ key, event }) => ({ key, event: event || read.get(key) }))
+    .filter(({ event }) => event && (!event.bot || includeBots));
+}
+
+// Group events by sessionId, each session ordered by client timestamp.
+// Events without a session can't be sequenced and are left out.
+export function groupBySession(events) {
+  const sessions = new Map();
+
+  events.forEach(event => {
+    if (!event.sessionId) return;
+    if (!sessions.has(event.sessionId)) sessions.set(event.sessionId, []);
+    sessions.get(event.sessionId).push(event);
+  });
+
+  sessions.forEach(list => list.sort((a, b) =>
+    a.timestamp - b.timestamp || (a.serverTime || 0) - (b.serverTime || 0)
+  ));
+
+  return sessions;
+}
@@ -0,0 +1,165 @@
+// BADSEED SOIL - Directory-backed stand-in for a Netlify Blobs store
+//
+// Implements the subset of the Store API the functions use (see store.mjs),
+// including etag-conditional writes, so everything runs offline
+// (SOIL_STORE=file). Each key is a file; etags are content hashes. Conditional
+// writes are serialized per key within one process - enough for `netlify dev`,
+// not for several processes sharing a directory.
+import { createHash } from 'node:crypto';
+import { mkdir, readdir, readFile, rename, unlink, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const SUFFIX = '.blob';
+const PAGE_SIZE = 1000;
+
+export function createFileStore(dir) {
+  const locks = new Map();
+
+  const fileFor = key => path.join(dir, ...pathSegments(key)) + SUFFIX;
+  const etagOf = data => `"${createHash('sha256').update(data).digest('hex').slice(0, 16)}"`;
+
+  async function read(key) {
+    try {
+      return await readFile(fileFor(key), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  // Run fn with no other write to the same key in flight
+  function withLock(key, fn) {
+    const previous = locks.get(key) || Promise.resolve();
+    const run = previous.then(fn, fn);
+    const settled = run.catch(() => {});
+    locks.set(key, settled);
+    settled.then(() => {
+      if (locks.get(key) === settled) locks.delete(key);
+    });
+    return run;
+  }
+
+  // Every file under `current`, as store keys
+  async function walk(current, found) {
+    let entries;
+    try {
+      entries = await readdir(current, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return found;
+      throw err;
+    }
+
+    for (const entry of entries) {
+      const full = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        await walk(full, found);
+      } else if (entry.name.endsWith(SUFFIX)) {
+        const relative = path.relative(dir, full).slice(0, -SUFFIX.length);
+        found.push(relative.split(path.sep).map(decodeURIComponent).join('/'));
+      }
+    }
+    return found;
+  }
+
+  return {
+    async get(key, { type } = {}) {
+      const data = await read(key);
+      if (data === null) return null;
+      return type === 'json' ? JSON.parse(data) : data;
+    },
+
+    async getWithMetadata(key, { type } = {}) {
+      const data = await read(key);
+      if (data === null) return null;
+      return {
+        data: type === 'json' ? JSON.parse(data) : data,
+        etag: etagOf(data),
+        metadata: {}
+      };
+    },
+
+    set(key, data, { onlyIfMatch, onlyIfNew } = {}) {
+      return withLock(key, async () => {
+        if (onlyIfMatch || onlyIfNew) {
+          const current = await read(key);
+          if (onlyIfNew && current !== null) return { modified: false };
+          if (onlyIfMatch && (current === null || etagOf(current) !== onlyIfMatch)) {
+            return { modified: false };
+          }
+        }
+
+        // Write then rename, so readers never see a half-written blob
+        const file = fileFor(key);
+        const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+        await mkdir(path.dirname(file), { recursive: true });
+        await writeFile(temp, String(data));
+        await rename(temp, file);
+        return { modified: true, etag: etagOf(String(data)) };
+      });
+    },
+
+    async setJSON(key, data, options) {
+      return this.set(key, JSON.stringify(data), options);
+    },
+
+    // Starts from the deepest directory the prefix names, then filters.
+    // With paginate: true, an async iterable of pages like the real store.
+    // With directories: true, keys below the next "/" are folded into
+    // directories entries (without a trailing slash), as in Netlify Blobs.
+    list({ prefix = '', paginate = false, directories = false } = {}) {
+      const parent = prefix.slice(0, prefix.lastIndexOf('/'));
+      const matching = async () => (await walk(path.join(dir, ...(parent ? pathSegments(parent) : [])), []))
+        .filter(key => key.startsWith(prefix))
+        .sort();
+      const page = keys => toPage(keys, directories ? prefix : null);
+
+      if (paginate) {
+        return (async function* () {
+          const keys = await matching();
+          for (let i = 0; i < keys.length; i += PAGE_SIZE) {
+            yield page(keys.slice(i, i + PAGE_SIZE));
+          }
+        })();
+      }
+
+      return matching().then(page);
+    },
+
+    async delete(key) {
+      await withLock(key, async () => {
+        try {
+          await unlink(fileFor(key));
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err;
+        }
+      });
+    }
+  };
+}
+
+// A key's "/"-separated segments as file names. Empty, "." and ".." segments
+// would resolve somewhere else on disk, possibly outside the store directory,
+// so such keys are refused.
+function pathSegments(key) {
+  return key.split('/').map(segment => {
+    if (segment === '' || segment === '.' || segment === '..') {
+      throw new Error(`Invalid store key: ${key}`);
+    }
+    return encodeURIComponent(segment);
+  });
+}
+
+// A list() page; with a prefix, keys below it are folded into directories
+function toPage(keys, prefix) {
+  const blobs = [];
+  const directories = new Set();
+  keys.forEach(key => {
+    const slash = prefix === null ? -1 : key.indexOf('/', prefix.length);
+    if (slash < 0) {
+      blobs.push({ key });
+    } else {
+      directories.add(key.slice(0, slash));
+    }
+  });
+  return { blobs, directories: [...directories] };
+}
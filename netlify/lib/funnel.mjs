@@ -0,0 +1,93 @@
+// BADSEED SOIL - Card conversion funnel built from per-session event sequences
+import { groupBySession } from './events.mjs';
+import { median } from './math.mjs';
+import { CARDS } from '../../schema.mjs';
+
+// Ordered funnel steps; every step after page_view is matched per card
+export const FUNNEL_STEPS = ['page_view', 'iframe_ready', 'card_hover_start', 'card_click'];
+
+export function buildFunnel(events) {
+  const sessions = groupBySession(events);
+
+  const reached = {};
+  const stepTimes = {};
+  CARDS.forEach(card => {
+    reached[card] = FUNNEL_STEPS.map(() => 0);
+    stepTimes[card] = FUNNEL_STEPS.map(() => []);
+  });
+
+  const crossCard = {
+    sessionsWithClick: 0,
+    multiCardHoverBeforeClick: 0,
+    cardsHoveredBeforeClick: []
+  };
+
+  sessions.forEach(sessionEvents => {
+    CARDS.forEach(card => {
+      // Walk the session once, advancing only on the next expected step
+      let step = 0;
+      let lastTime = null;
+
+      for (const event of sessionEvents) {
+        if (step >= FUNNEL_STEPS.length) break;
+        if (event.event !== FUNNEL_STEPS[step]) continue;
+        if (step > 0 && event.card !== card) continue;
+
+        reached[card][step]++;
+        if (lastTime !== null) {
+          stepTimes[card][step].push(event.timestamp - lastTime);
+        }
+        lastTime = event.timestamp;
+        step++;
+      }
+    });
+
+    // Which distinct cards were hovered before the first click of the session
+    const hovered = new Set();
+    for (const event of sessionEvents) {
+      if (event.event === 'card_hover_start' && event.card) {
+        hovered.add(event.card);
+      }
+      if (event.event === 'card_click') {
+        crossCard.sessionsWithClick++;
+        crossCard.cardsHoveredBeforeClick.push(hovered.size);
+        if (hovered.size > 1) crossCard.multiCardHoverBeforeClick++;
+        break;
+      }
+    }
+  });
+
+  const cards = {};
+  CARDS.forEach(card => {
+    const counts = reached[card];
+    cards[card] = {
+      steps: FUNNEL_STEPS.map((step, i) => ({
+        step,
+        sessions: counts[i],
+        dropOff: i > 0 ? counts[i - 1] - counts[i] : 0,
+        dropOffRate: i > 0 && counts[i - 1] > 0
+          ? Math.round(((counts[i - 1] - counts[i]) / counts[i - 1]) * 100)
+          : 0,
+        medianTimeFromPrevious: i > 0 ? median(stepTimes[card][i]) : null
+      })),
+      conversionRate: counts[0] > 0
+        ? Math.round((counts[counts.length - 1] / counts[0]) * 100)
+        : 0
+    };
+  });
+
+  const { cardsHoveredBeforeClick, ...crossCardCounts } = crossCard;
+
+  return {
+    sessions: sessions.size,
+    steps: FUNNEL_STEPS,
+    cards,
+    crossCard: {
+      ...crossCardCounts,
+      multiCardHoverRate: crossCard.sessionsWithClick > 0
+        ? Math.round((crossCard.multiCardHoverBeforeClick / crossCard.sessionsWithClick) * 100)
+        : 0,
+      medianCardsHoveredBeforeClick: median(cardsHoveredBeforeClick)
+    }
+  };
+}
@@ -0,0 +1,70 @@
+// BADSEED SOIL - CORS and response helpers for the analytics functions
+
+// Comma-separated origin list from an environment variable
+export function parseOrigins(value) {
+  return (value || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+}
+
+// The site's own origins: the URLs Netlify provides plus the origin the request
+// was addressed to, so same-origin calls work on previews and under netlify dev
+export function siteOrigins(req) {
+  return [
+    ...parseOrigins([process.env.URL, process.env.DEPLOY_PRIME_URL, process.env.DEPLOY_URL].join(',')),
+    new URL(req.url).origin
+  ];
+}
+
+export function isOriginAllowed(origin, allowedOrigins) {
+  return Boolean(origin) && allowedOrigins.includes(origin);
+}
+
+// Response headers that only grant CORS to allow-listed origins.
+// Requests from anywhere else get no Access-Control-Allow-Origin at all.
+export function corsHeaders(req, { allowedOrigins, methods, allowHeaders = ['Content-Type'] }) {
+  const headers = {
+    'Access-Control-Allow-Methods': methods.join(', '),
+    'Access-Control-Allow-Headers': allowHeaders.join(', '),
+    'Content-Type': 'application/json',
+    'Vary': 'Origin'
+  };
+
+  const origin = req.headers.get('origin');
+  if (isOriginAllowed(origin, allowedOrigins)) {
+    headers['Access-Control-Allow-Origin'] = origin;
+  }
+
+  return headers;
+}
+
+// CORS headers for the analytics read endpoints - only dashboard origins may
+// read analytics from a browser - and, for a preflight or a method the
+// endpoint doesn't take, the response that answers it
+export function openDashboardRequest(req, { methods, allowHeaders = ['Content-Type', 'Authorization'] }) {
+  const headers = corsHeaders(req, {
+    allowedOrigins: [...parseOrigins(process.env.SOIL_DASHBOARD_ORIGINS), ...siteOrigins(req)],
+    methods: [...methods, 'OPTIONS'],
+    allowHeaders
+  });
+
+  if (req.method === 'OPTIONS') {
+    return { headers, response: new Response(null, { status: 204, headers }) };
+  }
+  if (!methods.includes(req.method)) {
+    return { headers, response: jsonError(405, 'Method not allowed', headers) };
+  }
+  return { headers, response: null };
+}
+
+export function jsonError(status, error, headers) {
+  return new Response(JSON.stringify({ error }), { status, headers });
+}
+
+// Log an unexpected error and answer 500. Details stay in the function log,
+// never in the response.
+export function internalError(label, error, headers) {
+  console.error(`${label}:`, error);
+  return jsonError(500, 'Internal error', headers);
+}
@@ -0,0 +1,60 @@
+// BADSEED SOIL - Privacy-preserving visitor identity
+//
+// Visitors are identified by an HMAC of IP + user agent under a random salt
+// that lives in the blob store for one UTC day only. Once the day's salt is
+// deleted, hashes from different days can't be linked or recomputed.
+import { createHmac, randomBytes } from 'node:crypto';
+
+const SALT_PREFIX = 'salts/';
+
+// Warm function instances reuse the salt instead of reading it per request
+let cachedSalt = null;
+
+// SOIL_VISITOR_HASHING=off drops visitor hashes entirely; reports then fall
+// back to session IDs for unique counts
+export function isVisitorHashingEnabled() {
+  return (process.env.SOIL_VISITOR_HASHING || 'on').toLowerCase() !== 'off';
+}
+
+export async function getDailySalt(store, date) {
+  if (cachedSalt?.date === date) {
+    return cachedSalt.salt;
+  }
+
+  const key = `${SALT_PREFIX}${date}`;
+  let salt = await store.get(key, { type: 'text' });
+
+  if (!salt) {
+    const candidate = randomBytes(32).toString('base64');
+    const { modified } = await store.set(key, candidate, { onlyIfNew: true });
+
+    // Another invocation created the salt first - use theirs
+    salt = modified ? candidate : await store.get(key, { type: 'text' });
+
+    if (modified) {
+      await deleteOldSalts(store, key);
+    }
+  }
+
+  cachedSalt = { date, salt };
+  return salt;
+}
+
+export function hashVisitor(salt, ip, userAgent) {
+  return createHmac('sha256', salt)
+    .update(`${ip}|${userAgent}`)
+    .digest('base64url')
+    .slice(0, 22);
+}
+
+// Destroy every previous day's salt so old hashes can't be reproduced
+async function deleteOldSalts(store, currentKey) {
+  try {
+    const { blobs } = await store.list({ prefix: SALT_PREFIX });
+    await Promise.all((blobs || [])
+      .filter(blob => blob.key !== currentKey)
+      .map(blob => store.delete(blob.key)));
+  } catch (e) {
+    console.error('Salt cleanup failed:', e);
+  }
+}
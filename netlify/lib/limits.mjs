@@ -0,0 +1,43 @@
+// BADSEED SOIL - Ingestion limits: fixed-window rate limits kept in the blob store
+import { updateJSON } from './atomic.mjs';
+import { utcDateHour } from './time.mjs';
+
+// Windows are kept as ratelimit/<scope>/<utc-date>/<id>, so retention can
+// drop past days by prefix (see maintenance.mjs)
+export const RATE_LIMIT_PREFIX = 'ratelimit/';
+
+// Events (not requests) allowed per window. A visitor hash can be shared by
+// several people behind one NAT, so it gets more headroom than a session.
+export const RATE_LIMITS = {
+  visitor: { limit: 600, windowMs: 60 * 1000 },
+  session: { limit: 240, windowMs: 60 * 1000 }
+};
+
+// Largest request body accepted by analytics-track
+export const MAX_PAYLOAD_BYTES = 16 * 1024;
+
+// Count cost events against scope/id. Returns { allowed, remaining, retryAfter }
+// where retryAfter is in seconds. Rejected requests don't consume the budget.
+export async function consumeRateLimit(store, scope, id, cost = 1, now = Date.now()) {
+  const { limit, windowMs } = RATE_LIMITS[scope];
+  const windowStart = now - (now % windowMs);
+  let allowed = true;
+  let used = 0;
+
+  await updateJSON(store, `${RATE_LIMIT_PREFIX}${scope}/${utcDateHour(windowStart).date}/${id}`, current => {
+    const count = current?.windowStart === windowStart ? current.count : 0;
+    if (count + cost > limit) {
+      allowed = false;
+      used = count;
+      return undefined;
+    }
+    used = count + cost;
+    return { windowStart, count: used };
+  });
+
+  return {
+    allowed,
+    remaining: Math.max(0, limit - used),
+    retryAfter: allowed ? 0 : Math.ceil((windowStart + windowMs - now) / 1000)
+  };
+}
@@ -0,0 +1,314 @@
+// BADSEED SOIL - Raw event maintenance, run hourly by analytics-maintenance
+//
+//   compaction - each finished UTC hour's event blobs are folded into one
+//                NDJSON segment (see events.mjs) and the blobs deleted
+//   retention  - raw events and segments older than SOIL_EVENT_RETENTION_DAYS
+//                are deleted, minute rollups, session markers and rate
+//                limit windows after a day; the stats/ rollups are kept
+//   purges     - queued deletion requests (purges/<id>, see analytics-purge)
+//                remove every raw event of a visitor hash or session
+//   sessions   - sessions are rebuilt from raw events once they're over and
+//                their totals recorded in the stats/ bucket of the hour they
+//                started in, so summaries never replay raw events for them
+// Each job stops at the deadline and carries on from where it got to on the
+// next run. Segments are only written here, one scheduled run at a time.
+import { updateJSON } from './atomic.mjs';
+import { MAX_CLOCK_SKEW_MS, SESSION_PREFIX } from './bots.mjs';
+import { byKey, eventDates, eventHours, eventKeyPages, formatSegment, listDates, parseSegment, readHour, readKeys, READ_CONCURRENCY, segmentKey } from './events.mjs';
+import { RATE_LIMIT_PREFIX, RATE_LIMITS } from './limits.mjs';
+import { MINUTE_PREFIX, RECENT_KEY } from './rollups.mjs';
+import { rebuildSessions, SESSION_TIMEOUT_MS, sessionTotals } from './sessions.mjs';
+import { setHourSessions } from './stats.mjs';
+import { addDays, utcDateHour } from './time.mjs';
+
+export const DEFAULT_RETENTION_DAYS = 90;
+export const PURGE_PREFIX = 'purges/';
+
+// Last UTC hour whose sessions were rolled up, as { through: "<date>T<hour>" }
+export const SESSION_ROLLUP_KEY = 'rollups/sessions';
+
+const HOUR_MS = 3600000;
+
+// Events can land shortly after their hour ends; leave the hour open this long
+const COMPACTION_GRACE_MS = 10 * 60 * 1000;
+
+export function retentionDays(value = process.env.SOIL_EVENT_RETENTION_DAYS) {
+  const days = parseInt(value, 10);
+  return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+// Purges first, so deletion requests never wait behind a compaction backlog
+export async function runMaintenance(store, { now = Date.now(), deadline = Infinity, retention = retentionDays() } = {}) {
+  const purged = await processPurges(store, { now, deadline });
+  const expired = await enforceRetention(store, { now, retention, deadline });
+  const compacted = await compactFinishedHours(store, { now, retention, deadline });
+  const sessions = await rollUpSessions(store, { now, deadline });
+  return { purged, expired, compacted, sessions };
+}
+
+// ========== COMPACTION ==========
+
+// Compact every hour that ended more than the grace period ago. Returns the
+// number of event blobs folded into segments.
+export async function compactFinishedHours(store, { now = Date.now(), retention = retentionDays(), deadline = Infinity } = {}) {
+  const oldest = retentionStart(now, retention);
+  const closedBefore = now - COMPACTION_GRACE_MS;
+  let compacted = 0;
+
+  // Only dates that still have loose event blobs are listed
+  for (const utcDate of await listDates(store, 'events/')) {
+    if (utcDate < oldest) continue;
+
+    const hours = new Set();
+    for await (const keys of eventKeyPages(store, utcDate)) {
+      keys.forEach(key => hours.add(key.split('/')[2]));
+    }
+
+    for (const hour of [...hours].sort()) {
+      if (Date.parse(`${utcDate}T${hour}:00:00Z`) + HOUR_MS > closedBefore) break;
+      if (Date.now() > deadline) return compacted;
+      compacted += await compactHour(store, utcDate, hour);
+    }
+  }
+
+  return compacted;
+}
+
+// Fold one hour's event blobs into its segment, then delete them. An event
+// already in the segment keeps its segment copy.
+export async function compactHour(store, utcDate, hour) {
+  const keys = await listKeys(store, `events/${utcDate}/${hour}/`);
+  if (keys.length === 0) return 0;
+
+  const loose = await readKeys(store, keys);
+  const written = await rewriteSegment(store, utcDate, hour, entries => {
+    const merged = new Map(entries.map(entry => [entry.key, entry]));
+    loose.forEach(entry => {
+      if (!merged.has(entry.key)) merged.set(entry.key, entry);
+    });
+    return [...merged.values()].sort(byKey);
+  });
+  if (!written) return 0;
+
+  await deleteKeys(store, keys);
+  return keys.length;
+}
+
+// ========== RETENTION ==========
+
+// Delete raw events and segments of UTC dates before the retention window,
+// and minute rollups, session markers and rate limit windows from before
+// yesterday. Returns the number of blobs deleted.
+export async function enforceRetention(store, { now = Date.now(), retention = retentionDays(), deadline = Infinity } = {}) {
+  const oldest = retentionStart(now, retention);
+  const yesterday = retentionStart(now, 1);
+  const markers = [SESSION_PREFIX, ...Object.keys(RATE_LIMITS).map(scope => `${RATE_LIMIT_PREFIX}${scope}/`)];
+  const windows = [
+    ['events/', oldest],
+    ['segments/', oldest],
+    [MINUTE_PREFIX, yesterday],
+    ...markers.map(prefix => [prefix, yesterday])
+  ];
+  let deleted = 0;
+
+  // Session markers and rate limit windows written before they were kept by date
+  for (const prefix of markers) {
+    deleted += await deleteKeys(store, await listUndated(store, prefix));
+  }
+
+  for (const [prefix, keepFrom] of windows) {
+    for (const utcDate of await listDates(store, prefix)) {
+      if (utcDate >= keepFrom) break;
+      if (Date.now() > deadline) return deleted;
+      deleted += await deleteKeys(store, await listKeys(store, `${prefix}${utcDate}/`));
+    }
+  }
+
+  return deleted;
+}
+
+// First UTC date kept: today and the `retention` days before it
+function retentionStart(now, retention) {
+  return addDays(utcDateHour(now).date, -retention);
+}
+
+// ========== SESSION ROLLUPS ==========
+
+// Roll up the sessions of every UTC hour with events since the last run, in
+// order, stopping at the first hour that may still have a session going on.
+// Returns the number of hours rolled up.
+export async function rollUpSessions(store, { now = Date.now(), deadline = Infinity } = {}) {
+  const closedBefore = now - COMPACTION_GRACE_MS;
+  const through = (await store.get(SESSION_ROLLUP_KEY, { type: 'json' }))?.through || '';
+  const readHourEvents = hourReader(store);
+  let rolled = 0;
+
+  for (const utcDate of await eventDates(store)) {
+    if (utcDate < through.slice(0, 10)) continue;
+
+    for (const hour of await eventHours(store, utcDate)) {
+      const id = `${utcDate}T${hour}`;
+      if (id <= through) continue;
+      if (Date.now() > deadline) return rolled;
+
+      const sessions = await sessionsStartedIn(Date.parse(`${id}:00:00Z`), closedBefore, readHourEvents);
+      if (!sessions) return rolled;
+
+      await setHourSessions(store, utcDate, hour, sessionTotals(sessions));
+      await store.setJSON(SESSION_ROLLUP_KEY, { through: id });
+      rolled++;
+    }
+  }
+
+  return rolled;
+}
+
+// Sessions that started in the hour beginning at `start`, or null while one
+// of them could still get another event. The hour before is read as well, so
+// a session carried over from it isn't taken for a new one.
+async function sessionsStartedIn(start, closedBefore, readHourEvents) {
+  // The next event of a session arrives within its timeout, give or take the
+  // client clock skew bots.mjs lets through
+  const quietFor = SESSION_TIMEOUT_MS + MAX_CLOCK_SKEW_MS;
+  let events = [];
+
+  for (let t = start - HOUR_MS; t + HOUR_MS <= closedBefore; t += HOUR_MS) {
+    events = events.concat(await readHourEvents(t));
+    if (t < start) continue;
+
+    const started = rebuildSessions(events).filter(s => s.start >= start && s.start < start + HOUR_MS);
+    if (started.every(s => s.end + quietFor <= t + HOUR_MS)) return started;
+  }
+
+  return null;
+}
+
+// Reads one UTC hour's events, bot traffic left out, by the hour's start (ms).
+// Consecutive hours' windows overlap, so the last few hours read are kept.
+function hourReader(store) {
+  const cache = new Map();
+
+  return async start => {
+    if (!cache.has(start)) {
+      const { date, hour } = utcDateHour(start);
+      const events = (await readHour(store, date, hour)).map(({ event }) => event).filter(event => !event.bot);
+      cache.set(start, events);
+      for (const cached of cache.keys()) {
+        if (cached < start - 2 * HOUR_MS) cache.delete(cached);
+      }
+    }
+    return cache.get(start);
+  };
+}
+
+// ========== PURGES ==========
+
+// Whether an event belongs to a purge request's visitor hash or session
+export function matchesPurge(event, { visitorHash, sessionId }) {
+  return Boolean((visitorHash && event.visitorHash === visitorHash) ||
+    (sessionId && event.sessionId === sessionId));
+}
+
+// Work through queued purge requests date by date, recording progress on the
+// request so an unfinished one resumes on the next run. Returns the number of
+// events removed.
+export async function processPurges(store, { now = Date.now(), deadline = Infinity } = {}) {
+  let removed = 0;
+
+  for (const key of await listKeys(store, PURGE_PREFIX)) {
+    const request = await store.get(key, { type: 'json' });
+    if (!request || request.status === 'done') continue;
+
+    const dates = (await eventDates(store)).filter(date => !request.nextDate || date >= request.nextDate);
+
+    for (const utcDate of dates) {
+      if (Date.now() > deadline) return removed;
+      const count = await purgeDate(store, utcDate, request.match);
+      removed += count;
+      Object.assign(request, { status: 'running', nextDate: addDays(utcDate, 1), removed: request.removed + count });
+      await store.setJSON(key, request);
+    }
+
+    await updateJSON(store, RECENT_KEY, current => {
+      const events = (current?.events || []).filter(({ event }) => !matchesPurge(event, request.match));
+      return events.length < (current?.events || []).length ? { events } : undefined;
+    });
+
+    // The bot checks' first-seen marker and the rate limit window name the session too
+    if (request.match.sessionId) {
+      for (const prefix of [SESSION_PREFIX, `${RATE_LIMIT_PREFIX}session/`]) {
+        for (const utcDate of await listDates(store, prefix)) {
+          await store.delete(`${prefix}${utcDate}/${request.match.sessionId}`);
+        }
+      }
+    }
+    await store.setJSON(key, { ...request, status: 'done', nextDate: null, completedAt: now });
+  }
+
+  return removed;
+}
+
+async function purgeDate(store, utcDate, match) {
+  let removed = 0;
+
+  for (const key of await listKeys(store, `segments/${utcDate}/`)) {
+    let count = 0;
+    const written = await rewriteSegment(store, utcDate, key.slice(-2), entries => {
+      const kept = entries.filter(({ event }) => !matchesPurge(event, match));
+      count = entries.length - kept.length;
+      return count > 0 ? kept : undefined;
+    });
+    if (!written) throw new Error(`Segment ${key} changed during purge`);
+    removed += count;
+  }
+
+  for await (const keys of eventKeyPages(store, utcDate)) {
+    const matching = (await readKeys(store, keys)).filter(({ event }) => matchesPurge(event, match));
+    removed += await deleteKeys(store, matching.map(({ key }) => key));
+  }
+
+  return removed;
+}
+
+// ========== HELPERS ==========
+
+// Replace a segment with update(entries). update returns undefined to leave it
+// as is; an empty result deletes the segment. Resolves to false if another run
+// wrote the segment in between.
+async function rewriteSegment(store, utcDate, hour, update) {
+  const key = segmentKey(utcDate, hour);
+  const current = await store.getWithMetadata(key, { type: 'text' });
+  const entries = update(parseSegment(current ? current.data : ''));
+
+  if (entries === undefined) return true;
+  if (entries.length === 0) {
+    await store.delete(key);
+    return true;
+  }
+
+  const { modified } = current
+    ? await store.set(key, formatSegment(entries), { onlyIfMatch: current.etag })
+    : await store.set(key, formatSegment(entries), { onlyIfNew: true });
+  return modified;
+}
+
+async function listKeys(store, prefix) {
+  const keys = [];
+  for await (const { blobs } of store.list({ prefix, paginate: true })) {
+    keys.push(...(blobs || []).map(blob => blob.key));
+  }
+  return keys;
+}
+
+// Blobs directly under prefix, outside its date directories
+async function listUndated(store, prefix) {
+  const { blobs } = await store.list({ prefix, directories: true });
+  return (blobs || []).map(blob => blob.key);
+}
+
+async function deleteKeys(store, keys) {
+  for (let i = 0; i < keys.length; i += READ_CONCURRENCY) {
+    await Promise.all(keys.slice(i, i + READ_CONCURRENCY).map(key => store.delete(key)));
+  }
+  return keys.length;
+}
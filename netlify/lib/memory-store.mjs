@@ -0,0 +1,91 @@
+// BADSEED SOIL - In-memory stand-in for a Netlify Blobs store
+//
+// Implements the same subset of the Store API as file-store.mjs, including
+// etag-conditional writes (SOIL_STORE=memory, see store.mjs). Every call
+// yields to the event loop so concurrent callers interleave the way separate
+// function invocations would. Contents live as long as the process; `blobs`
+// is exposed so tests can inspect them.
+
+// pageSize - keys per list() page when paginating; tests lower it to cover
+// more than one page
+export function createMemoryStore({ pageSize = 1000 } = {}) {
+  const blobs = new Map();
+  let etagCounter = 0;
+
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+  const nextEtag = () => `"${++etagCounter}"`;
+
+  return {
+    blobs,
+
+    async get(key, { type } = {}) {
+      await tick();
+      const entry = blobs.get(key);
+      if (!entry) return null;
+      return type === 'json' ? JSON.parse(entry.data) : entry.data;
+    },
+
+    async getWithMetadata(key, { type } = {}) {
+      await tick();
+      const entry = blobs.get(key);
+      if (!entry) return null;
+      return {
+        data: type === 'json' ? JSON.parse(entry.data) : entry.data,
+        etag: entry.etag,
+        metadata: {}
+      };
+    },
+
+    async set(key, data, { onlyIfMatch, onlyIfNew } = {}) {
+      await tick();
+      const entry = blobs.get(key);
+      if (onlyIfNew && entry) return { modified: false };
+      if (onlyIfMatch && entry?.etag !== onlyIfMatch) return { modified: false };
+
+      const etag = nextEtag();
+      blobs.set(key, { data: String(data), etag });
+      return { modified: true, etag };
+    },
+
+    async setJSON(key, data, options) {
+      return this.set(key, JSON.stringify(data), options);
+    },
+
+    // With paginate: true, an async iterable of pages like the real store.
+    // With directories: true, keys below the next "/" are folded into
+    // directories entries, as in Netlify Blobs.
+    list({ prefix = '', paginate = false, directories = false } = {}) {
+      const page = keys => {
+        const folded = new Set();
+        const found = [];
+        keys.forEach(key => {
+          const slash = directories ? key.indexOf('/', prefix.length) : -1;
+          if (slash < 0) {
+            found.push({ key, etag: blobs.get(key).etag });
+          } else {
+            folded.add(key.slice(0, slash));
+          }
+        });
+        return { blobs: found, directories: [...folded] };
+      };
+      const matching = () => [...blobs.keys()].filter(key => key.startsWith(prefix)).sort();
+
+      if (paginate) {
+        return (async function* () {
+          const keys = matching();
+          for (let i = 0; i < keys.length; i += pageSize) {
+            await tick();
+            yield page(keys.slice(i, i + pageSize));
+          }
+        })();
+      }
+
+      return tick().then(() => page(matching()));
+    },
+
+    async delete(key) {
+      await tick();
+      blobs.delete(key);
+    }
+  };
+}
@@ -0,0 +1,79 @@
+// BADSEED SOIL - Report period query params
+// Shared by the read functions (analytics-get, analytics-export).
+import { addDays, datesBetween, isIsoDate, isValidTimeZone, todayIn } from './time.mjs';
+
+// Longest window a report may cover
+export const MAX_RANGE_DAYS = 366;
+
+// Preset ranges and the days each covers, ending today
+export const RANGES = { '1d': 1, '7d': 7, '30d': 30 };
+
+// Resolve range/from/to/tz query params into an inclusive local date window
+export function resolvePeriod(params) {
+  const tz = params.get('tz') || 'UTC';
+  if (!isValidTimeZone(tz)) {
+    return { error: `Unknown timezone: ${tz}` };
+  }
+
+  let from = params.get('from');
+  let to = params.get('to');
+  let range = 'custom';
+
+  if (from || to) {
+    to = to || todayIn(tz);
+    if (!isIsoDate(from) || !isIsoDate(to)) {
+      return { error: 'from and to must be YYYY-MM-DD dates' };
+    }
+  } else {
+    range = params.get('range') || '7d';
+    if (!Object.prototype.hasOwnProperty.call(RANGES, range)) {
+      return { error: `range must be one of: ${Object.keys(RANGES).join(', ')}` };
+    }
+    to = todayIn(tz);
+    from = addDays(to, 1 - RANGES[range]);
+  }
+
+  if (from > to) {
+    return { error: 'from must not be after to' };
+  }
+  if (datesBetween(from, to).length > MAX_RANGE_DAYS) {
+    return { error: `Range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+
+  const baseline = resolveBaseline(params, from, to);
+  if (baseline?.error) {
+    return baseline;
+  }
+
+  return { range, from, to, tz, baseline };
+}
+
+// Optional comparison window: compare=previous for the preceding period of
+// equal length, or compareFrom/compareTo for a named baseline range
+function resolveBaseline(params, from, to) {
+  const compare = params.get('compare');
+  const compareFrom = params.get('compareFrom');
+  const compareTo = params.get('compareTo');
+
+  if (compareFrom || compareTo) {
+    if (!isIsoDate(compareFrom) || !isIsoDate(compareTo)) {
+      return { error: 'compareFrom and compareTo must be YYYY-MM-DD dates' };
+    }
+    if (compareFrom > compareTo) {
+      return { error: 'compareFrom must not be after compareTo' };
+    }
+    if (datesBetween(compareFrom, compareTo).length > MAX_RANGE_DAYS) {
+      return { error: `Comparison range cannot exceed ${MAX_RANGE_DAYS} days` };
+    }
+    return { from: compareFrom, to: compareTo };
+  }
+
+  if (!compare) return null;
+
+  if (compare !== 'previous') {
+    return { error: 'compare must be "previous" (or use compareFrom/compareTo)' };
+  }
+
+  const length = datesBetween(from, to).length;
+  return { from: addDays(from, -length), to: addDays(from, -1) };
+}
@@ -0,0 +1,66 @@
+// BADSEED SOIL - Realtime activity over a rolling window
+// Shared by the realtime poll in analytics-get and the analytics-stream SSE feed.
+import { CARDS, perCard } from '../../schema.mjs';
+
+// Window covered by realtime reports
+export const REALTIME_WINDOW_MS = 30 * 60 * 1000;
+
+// Visitors seen this recently count as active
+export const ACTIVE_WINDOW_MS = 5 * 60 * 1000;
+
+const MINUTE_MS = 60000;
+
+// Public shape of a single event in realtime feeds
+export function toStreamItem(event) {
+  return {
+    event: event.event,
+    card: event.card,
+    timestamp: event.timestamp,
+    country: event.client?.country
+  };
+}
+
+// Counters for the window ending at `now`, from the minute rollups and ring
+// buffer returned by readRealtimeRollups (see rollups.mjs)
+export function summarizeRealtime({ minutes, recent }, now = Date.now()) {
+  const windowStart = now - REALTIME_WINDOW_MS;
+  const activeSince = now - ACTIVE_WINDOW_MS;
+
+  const activeVisitors = new Set();
+  const recentHovers = perCard();
+  const recentClicks = perCard();
+  let recentPageViews = 0;
+
+  minutes.forEach(bucket => {
+    if (bucket.start + MINUTE_MS <= windowStart) return;
+    recentPageViews += bucket.pageViews;
+    if (bucket.start + MINUTE_MS > activeSince) {
+      bucket.visitors.forEach(visitor => activeVisitors.add(visitor));
+    }
+    // Rollups may name a card that has since been retired
+    Object.entries(bucket.cardHovers).forEach(([card, count]) => {
+      if (card in recentHovers) recentHovers[card] += count;
+    });
+    Object.entries(bucket.cardClicks).forEach(([card, count]) => {
+      if (card in recentClicks) recentClicks[card] += count;
+    });
+  });
+
+  const cardActivity = {};
+  CARDS.forEach(card => {
+    cardActivity[card] = { hovers: recentHovers[card], clicks: recentClicks[card] };
+  });
+
+  return {
+    window: `${REALTIME_WINDOW_MS / 60000}m`,
+    activeVisitors: activeVisitors.size,
+    pageViews: recentPageViews,
+    cardActivity,
+    eventStream: recent
+      .map(({ event }) => event)
+      .filter(event => !event.bot && (event.serverTime || event.timestamp) >= windowStart)
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, 20)
+      .map(toStreamItem)
+  };
+}
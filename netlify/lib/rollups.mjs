@@ -0,0 +1,116 @@
+// BADSEED SOIL - Realtime rollups, maintained by analytics-track
+//
+//   rollups/minutes/<utc-date>/<utc-hour> - one bucket per minute of the hour:
+//                                           events, page views, visitor ids,
+//                                           card hovers and clicks
+//   rollups/recent                        - ring buffer of the newest stored
+//                                           events as { key, event }
+// Realtime and recent-event reports read these (three blobs at most) instead
+// of listing and reading every event blob. Hourly and daily figures come from
+// the stats/ rollups (see stats.mjs).
+import { updateJSON } from './atomic.mjs';
+import { byKey } from './events.mjs';
+import { recordedVisitor } from './stats.mjs';
+import { utcDateHour } from './time.mjs';
+
+export const MINUTE_PREFIX = 'rollups/minutes/';
+export const RECENT_KEY = 'rollups/recent';
+
+// Events kept in the ring buffer - the most a recent-events report can return
+export const RECENT_BUFFER_SIZE = 100;
+
+const HOUR_MS = 3600000;
+const MINUTE_MS = 60000;
+
+// Visitors are kept per minute as hash prefixes - plenty to tell a few
+// hundred apart. Past the cap, active visitor counts become a lower bound.
+const VISITOR_ID_LENGTH = 8;
+const MAX_MINUTE_VISITORS = 1000;
+
+// Fold one request's events into the minute buckets and the ring buffer.
+// entries are { key, event }, key being null for aggregate-only events, which
+// are counted but never listed. Bot traffic is listed but never counted.
+// visitor(event) names who an event counts as among active visitors, as in
+// updateStats.
+export async function updateRollups(store, entries, { visitor = recordedVisitor } = {}) {
+  const byHour = {};
+  entries.forEach(({ event }) => {
+    if (event.bot) return;
+    const { date, hour } = utcDateHour(event.serverTime);
+    (byHour[`${date}/${hour}`] = byHour[`${date}/${hour}`] || []).push(event);
+  });
+
+  for (const [hourPath, events] of Object.entries(byHour)) {
+    await updateJSON(store, `${MINUTE_PREFIX}${hourPath}`, current => {
+      const minutes = current?.minutes || {};
+      events.forEach(event => applyToMinute(minutes, event, visitor));
+      return { minutes };
+    });
+  }
+
+  const listed = entries.filter(({ key }) => key);
+  if (listed.length > 0) {
+    await updateJSON(store, RECENT_KEY, current => ({
+      events: [...(current?.events || []), ...listed].sort(byKey).slice(-RECENT_BUFFER_SIZE)
+    }));
+  }
+}
+
+// Minute buckets overlapping [since, now], each with its start time (ms), and
+// the ring buffer's events, oldest first
+export async function readRealtimeRollups(store, { since, now = Date.now() }) {
+  const hours = [];
+  for (let t = since - (since % HOUR_MS); t <= now; t += HOUR_MS) {
+    hours.push(t);
+  }
+
+  const [recent, ...stored] = await Promise.all([
+    store.get(RECENT_KEY, { type: 'json' }).catch(() => null),
+    ...hours.map(t => {
+      const { date, hour } = utcDateHour(t);
+      return store.get(`${MINUTE_PREFIX}${date}/${hour}`, { type: 'json' }).catch(() => null);
+    })
+  ]);
+
+  const minutes = [];
+  hours.forEach((t, i) => {
+    Object.entries(stored[i]?.minutes || {}).forEach(([minute, bucket]) => {
+      const start = t + parseInt(minute, 10) * MINUTE_MS;
+      if (start + MINUTE_MS > since && start <= now) minutes.push({ ...bucket, start });
+    });
+  });
+
+  return { minutes: minutes.sort((a, b) => a.start - b.start), recent: recent?.events || [] };
+}
+
+// The ring buffer's events, oldest first
+export async function readRecentBuffer(store) {
+  const recent = await store.get(RECENT_KEY, { type: 'json' }).catch(() => null);
+  return recent?.events || [];
+}
+
+function applyToMinute(minutes, event, visitor) {
+  const minute = new Date(event.serverTime).toISOString().slice(14, 16);
+  const bucket = minutes[minute] = minutes[minute] || {
+    events: 0,
+    pageViews: 0,
+    visitors: [],
+    cardHovers: {},
+    cardClicks: {}
+  };
+
+  bucket.events++;
+  if (event.event === 'page_view') bucket.pageViews++;
+
+  const id = (visitor(event) || '').slice(0, VISITOR_ID_LENGTH);
+  if (id && !bucket.visitors.includes(id) && bucket.visitors.length < MAX_MINUTE_VISITORS) {
+    bucket.visitors.push(id);
+  }
+
+  if (event.card && event.event === 'card_hover_start') {
+    bucket.cardHovers[event.card] = (bucket.cardHovers[event.card] || 0) + 1;
+  }
+  if (event.card && event.event === 'card_click') {
+    bucket.cardClicks[event.card] = (bucket.cardClicks[event.card] || 0) + 1;
+  }
+}
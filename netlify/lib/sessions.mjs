@@ -0,0 +1,120 @@
+// BADSEED SOIL - Server-side session reconstruction
+// Sessions are rebuilt from raw events instead of trusting session_end, which
+// depends on beforeunload and is routinely lost on mobile.
+import { groupBySession } from './events.mjs';
+import { percentile } from './math.mjs';
+
+// A session closes after this much inactivity, even if the tab stays open
+export const SESSION_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Any card interaction means the visitor didn't bounce
+const ENGAGEMENT_EVENTS = ['card_hover_start', 'card_click'];
+
+// Split each sessionId's ordered events into sessions at inactivity gaps
+export function rebuildSessions(events, timeoutMs = SESSION_TIMEOUT_MS) {
+  const sessions = [];
+
+  groupBySession(events).forEach((sessionEvents, sessionId) => {
+    let current = null;
+
+    sessionEvents.forEach(event => {
+      if (!current || event.timestamp - current.end > timeoutMs) {
+        current = startSession(sessionId, event);
+        sessions.push(current);
+      }
+      addToSession(current, event);
+    });
+  });
+
+  sessions.forEach(closeSession);
+  return sessions;
+}
+
+// Bounce rate, engaged time and length percentiles (seconds) for a set of sessions
+export function summarizeSessions(sessions, timeoutMs = SESSION_TIMEOUT_MS) {
+  const lengths = sessions.map(s => s.duration);
+  const engaged = sessions.map(s => s.engagedTime);
+  const hidden = sessions.map(s => s.hiddenTime);
+  const bounces = sessions.filter(s => s.bounced).length;
+
+  const seconds = ms => ms === null ? null : Math.round(ms / 1000);
+  const average = values => values.length > 0
+    ? values.reduce((sum, v) => sum + v, 0) / values.length
+    : 0;
+  const spread = values => ({
+    p50: seconds(percentile(values, 50)),
+    p75: seconds(percentile(values, 75)),
+    p90: seconds(percentile(values, 90)),
+    p95: seconds(percentile(values, 95))
+  });
+
+  return {
+    count: sessions.length,
+    timeoutMinutes: Math.round(timeoutMs / 60000),
+    bounces,
+    bounceRate: sessions.length > 0 ? Math.round((bounces / sessions.length) * 100) : 0,
+    avgSessionLength: seconds(average(lengths)),
+    avgEngagedTime: seconds(average(engaged)),
+    avgHiddenTime: seconds(average(hidden)),
+    sessionLength: spread(lengths),
+    engagedTime: spread(engaged)
+  };
+}
+
+// Session count, bounces and summed length and engaged time (ms). Unlike the
+// averages these add up across hours, so they are what stats/ rollups keep.
+export function sessionTotals(sessions) {
+  return {
+    count: sessions.length,
+    bounces: sessions.filter(s => s.bounced).length,
+    duration: sessions.reduce((sum, s) => sum + s.duration, 0),
+    engagedTime: sessions.reduce((sum, s) => sum + s.engagedTime, 0)
+  };
+}
+
+// Bounce rate and average length and engaged time (seconds) from summed totals
+export function summarizeSessionTotals({ count, bounces, duration, engagedTime }) {
+  const average = total => count > 0 ? Math.round(total / count / 1000) : 0;
+  return {
+    count,
+    bounceRate: count > 0 ? Math.round((bounces / count) * 100) : 0,
+    avgSessionLength: average(duration),
+    avgEngagedTime: average(engagedTime)
+  };
+}
+
+function startSession(sessionId, event) {
+  return {
+    sessionId,
+    start: event.timestamp,
+    end: event.timestamp,
+    events: 0,
+    hiddenSince: null,
+    hiddenTime: 0,
+    bounced: true
+  };
+}
+
+function addToSession(session, event) {
+  session.end = event.timestamp;
+  session.events++;
+
+  if (ENGAGEMENT_EVENTS.includes(event.event)) {
+    session.bounced = false;
+  }
+
+  // Time between page_hidden and the next page_visible is counted separately
+  if (event.event === 'page_hidden' && session.hiddenSince === null) {
+    session.hiddenSince = event.timestamp;
+  } else if (event.event === 'page_visible' && session.hiddenSince !== null) {
+    session.hiddenTime += event.timestamp - session.hiddenSince;
+    session.hiddenSince = null;
+  }
+}
+
+function closeSession(session) {
+  // A session that ends hidden stops at its last event, so there's nothing to add
+  session.hiddenSince = null;
+  session.duration = session.end - session.start;
+  session.engagedTime = Math.max(0, session.duration - session.hiddenTime);
+}
@@ -0,0 +1,294 @@
+// BADSEED SOIL - Daily stats aggregation shared by the analytics functions
+//
+// stats/<date> is keyed by UTC date and holds one bucket per UTC hour, so
+// readers can regroup hours into days of any timezone without double-counting.
+import { updateJSON } from './atomic.mjs';
+import { addToCampaigns, mergeCampaigns } from './attribution.mjs';
+import { addToSketch, createSketch, decodeSketch, encodeSketch, mergeSketches } from './hll.mjs';
+import { sessionTotals } from './sessions.mjs';
+import { addDays, datesBetween, utcDateHour, zonedDateHour } from './time.mjs';
+import { CARDS, perCard } from '../../schema.mjs';
+
+const STATS_VERSION = 2;
+
+// Fresh stats object for a date with no events yet
+export function createEmptyStats(date) {
+  return {
+    date,
+    version: STATS_VERSION,
+    hours: {},
+    lastUpdated: Date.now()
+  };
+}
+
+// Counters for a single hour, also used for range totals
+export function createEmptyBucket() {
+  return {
+    events: 0,
+    botEvents: 0,
+    pageViews: 0,
+    visitors: createSketch(),
+    cardHovers: perCard(),
+    cardClicks: perCard(),
+    cardHoverTime: perCard(),
+    sessions: 0,
+    totalSessionDuration: 0,
+    // Sessions rebuilt from raw events, under the hour they started in; filled
+    // in by maintenance once they're over (see maintenance.mjs)
+    rebuiltSessions: sessionTotals([]),
+    countries: {},
+    referers: {},
+    // "source|medium|campaign" -> { pageViews, cardClicks }
+    campaigns: {}
+  };
+}
+
+// Update aggregated statistics with a batch of events, grouped by UTC date.
+// visitor(event) names who a page view counts as in the unique visitor
+// sketch; the tracker passes the request's hash for anonymous events, which
+// never carry it themselves.
+export async function updateStats(store, events, { visitor = recordedVisitor } = {}) {
+  const byDate = {};
+  events.forEach(event => {
+    const { date } = utcDateHour(event.serverTime);
+    (byDate[date] = byDate[date] || []).push(event);
+  });
+
+  for (const [date, dateEvents] of Object.entries(byDate)) {
+    await updateDayStats(store, date, dateEvents, visitor);
+  }
+}
+
+// Concurrent invocations can't lose each other's increments: the write is
+// conditional on the etag that was read (see atomic.mjs)
+async function updateDayStats(store, date, events, visitor) {
+  const { value } = await updateJSON(store, `stats/${date}`, current => {
+    const stats = current
+      ? { ...current, version: STATS_VERSION, hours: readHourBuckets(current) }
+      : createEmptyStats(date);
+
+    events.forEach(event => applyEvent(stats, event, visitor));
+    stats.lastUpdated = Date.now();
+
+    return serializeStats(stats);
+  });
+
+  return value;
+}
+
+// Record the totals of the sessions that started in a UTC hour. They replace
+// whatever an earlier rollup of the hour recorded, so redoing one is harmless.
+export async function setHourSessions(store, date, hour, totals) {
+  await updateJSON(store, `stats/${date}`, current => {
+    const stats = current
+      ? { ...current, version: STATS_VERSION, hours: readHourBuckets(current) }
+      : createEmptyStats(date);
+
+    stats.hours[hour] = { ...(stats.hours[hour] || createEmptyBucket()), rebuiltSessions: totals };
+    stats.lastUpdated = Date.now();
+
+    return serializeStats(stats);
+  });
+}
+
+// Hour buckets (keyed "00"-"23") with decoded sketches for a stored stats blob.
+// Days written before hourly buckets existed only have day totals: those are
+// placed at 12:00 UTC, with their hourlyActivity kept as per-hour event counts.
+export function readHourBuckets(stored) {
+  const hours = {};
+
+  if (stored?.version === STATS_VERSION) {
+    Object.entries(stored.hours || {}).forEach(([hour, bucket]) => {
+      hours[hour] = { ...bucket, visitors: decodeSketch(bucket.visitors) };
+    });
+    return hours;
+  }
+
+  (stored?.hourlyActivity || []).forEach((count, hour) => {
+    if (!count) return;
+    const bucket = createEmptyBucket();
+    bucket.events = count;
+    hours[hour.toString().padStart(2, '0')] = bucket;
+  });
+
+  const legacy = hours['12'] || createEmptyBucket();
+  mergeBucket(legacy, {
+    ...stored,
+    events: 0,
+    visitors: decodeSketch(stored?.visitors)
+  });
+  (stored?.uniqueVisitors || []).forEach(v => addToSketch(legacy.visitors, v));
+  hours['12'] = legacy;
+
+  return hours;
+}
+
+// Add source bucket counters into target in place
+export function mergeBucket(target, source) {
+  target.events += source.events || 0;
+  target.botEvents += source.botEvents || 0;
+  target.pageViews += source.pageViews || 0;
+  target.sessions += source.sessions || 0;
+  target.totalSessionDuration += source.totalSessionDuration || 0;
+
+  if (source.visitors) {
+    mergeSketches(target.visitors, source.visitors);
+  }
+
+  // Cards added since the source was written are simply absent from it
+  ['cardHovers', 'cardClicks', 'cardHoverTime'].forEach(field => {
+    Object.entries(source[field] || {}).forEach(([card, count]) => {
+      target[field][card] = (target[field][card] || 0) + count;
+    });
+  });
+
+  Object.entries(source.countries || {}).forEach(([country, count]) => {
+    target.countries[country] = (target.countries[country] || 0) + count;
+  });
+
+  Object.entries(source.referers || {}).forEach(([ref, count]) => {
+    target.referers[ref] = (target.referers[ref] || 0) + count;
+  });
+
+  // Hours not rolled up yet, and buckets written before, have no rebuilt sessions
+  const rebuilt = target.rebuiltSessions = target.rebuiltSessions || sessionTotals([]);
+  Object.entries(source.rebuiltSessions || {}).forEach(([field, value]) => {
+    rebuilt[field] += value;
+  });
+
+  // Buckets written before attribution have no campaigns
+  target.campaigns = mergeCampaigns(target.campaigns || {}, source.campaigns);
+
+  return target;
+}
+
+// Regroup hourly rollups into one bucket per local day in [from, to], plus
+// event counts by local hour of day across the whole period
+export async function readDailyBuckets(store, { from, to, tz }) {
+  const days = {};
+  datesBetween(from, to).forEach(date => {
+    days[date] = createEmptyBucket();
+  });
+  const hourlyActivity = Array(24).fill(0);
+
+  // Rollups are keyed by UTC date; a local day can straddle two of them,
+  // so read one extra UTC day on each side and regroup hour by hour
+  const utcDates = datesBetween(addDays(from, -1), addDays(to, 1));
+  const stored = await Promise.all(utcDates.map(date =>
+    store.get(`stats/${date}`, { type: 'json' }).catch(() => null)
+  ));
+
+  utcDates.forEach((utcDate, i) => {
+    if (!stored[i]) return;
+
+    Object.entries(readHourBuckets(stored[i])).forEach(([hour, bucket]) => {
+      const local = zonedDateHour(Date.parse(`${utcDate}T${hour}:00:00Z`), tz);
+      if (!days[local.date]) return;
+
+      mergeBucket(days[local.date], bucket);
+      hourlyActivity[local.hour] += bucket.events;
+    });
+  });
+
+  return { days, hourlyActivity };
+}
+
+// Per-card engagement for a bucket: counts, average hover (ms), click-through
+// and share of all hovers (both percentages)
+export function summarizeCards(bucket) {
+  const totalHovers = CARDS.reduce((sum, card) => sum + (bucket.cardHovers[card] || 0), 0);
+
+  const cards = {};
+  CARDS.forEach(card => {
+    const hovers = bucket.cardHovers[card] || 0;
+    const clicks = bucket.cardClicks[card] || 0;
+    cards[card] = {
+      hovers,
+      clicks,
+      avgHoverTime: hovers > 0 ? Math.round((bucket.cardHoverTime[card] || 0) / hovers) : 0,
+      clickRate: hovers > 0 ? Math.round((clicks / hovers) * 100) : 0,
+      share: totalHovers > 0 ? Math.round((hovers / totalHovers) * 100) : 0
+    };
+  });
+  return cards;
+}
+
+// Working copy -> JSON-safe blob
+function serializeStats(stats) {
+  const hours = {};
+  Object.entries(stats.hours).forEach(([hour, bucket]) => {
+    hours[hour] = { ...bucket, visitors: encodeSketch(bucket.visitors) };
+  });
+  return { ...stats, hours };
+}
+
+// Fold a single event into the bucket for its UTC hour
+export function applyEvent(stats, event, visitor = recordedVisitor) {
+  const { hour } = utcDateHour(event.serverTime);
+  const bucket = stats.hours[hour] = stats.hours[hour] || createEmptyBucket();
+
+  // Flagged traffic is only counted, never aggregated
+  if (event.bot) {
+    bucket.botEvents = (bucket.botEvents || 0) + 1;
+    return;
+  }
+
+  bucket.events++;
+
+  // Update based on event type. Cards were checked against the schema on the
+  // way in, but buckets written before a card existed won't have its key yet.
+  switch (event.event) {
+    case 'page_view':
+      bucket.pageViews++;
+      if (visitor(event)) {
+        addToSketch(bucket.visitors, visitor(event));
+      }
+      break;
+    case 'session_start':
+      // A consent upgrade reopens a session already counted at page load
+      if (!event.data?.consentUpgrade) bucket.sessions++;
+      break;
+    case 'card_hover_start':
+      if (event.card) {
+        bucket.cardHovers[event.card] = (bucket.cardHovers[event.card] || 0) + 1;
+      }
+      break;
+    case 'card_hover_end':
+      if (event.card && event.data?.duration) {
+        bucket.cardHoverTime[event.card] = (bucket.cardHoverTime[event.card] || 0) + event.data.duration;
+      }
+      break;
+    case 'card_click':
+      if (event.card) {
+        bucket.cardClicks[event.card] = (bucket.cardClicks[event.card] || 0) + 1;
+      }
+      break;
+    case 'session_end':
+      if (event.data?.duration) {
+        bucket.totalSessionDuration += event.data.duration;
+      }
+      break;
+  }
+
+  // Update country stats
+  if (event.client?.country && event.client.country !== 'unknown') {
+    bucket.countries[event.client.country] = (bucket.countries[event.client.country] || 0) + 1;
+  }
+
+  if (event.attribution) {
+    addToCampaigns(bucket.campaigns = bucket.campaigns || {}, event);
+  }
+
+  // Update referer stats
+  if (event.client?.referer && event.client.referer !== 'direct') {
+    try {
+      const refHost = new URL(event.client.referer).hostname;
+      bucket.referers[refHost] = (bucket.referers[refHost] || 0) + 1;
+    } catch {}
+  }
+}
+
+// Session IDs stand in for visitors when hashing is switched off
+export function recordedVisitor(event) {
+  return event.visitorHash || event.sessionId;
+}
@@ -0,0 +1,48 @@
+// BADSEED SOIL - Analytics storage
+//
+// Functions and libs depend only on this subset of the Netlify Blobs Store API:
+//   get(key, { type })              - value, or null when missing
+//   getWithMetadata(key, { type })  - { data, etag, metadata }, or null
+//   set(key, value, options)        - options.onlyIfMatch / onlyIfNew make the
+//   setJSON(key, value, options)      write conditional; resolves { modified, etag }
+//   list({ prefix, paginate, directories })
+//   delete(key)
+// Atomic read-modify-write (updateJSON, increment) is built on the etags, see
+// atomic.mjs. SOIL_STORE selects the adapter:
+//   netlify - Netlify Blobs (default)
+//   file    - directory-backed, under SOIL_FILE_STORE_DIR (default .soil-store/),
+//             so the functions and the live dashboard run offline with `netlify dev`
+//   memory  - process memory, for tests and plain Node scripts
+import { getStore } from '@netlify/blobs';
+import path from 'node:path';
+import { createFileStore } from './file-store.mjs';
+import { createMemoryStore } from './memory-store.mjs';
+
+export const STORE_NAME = 'soil-analytics';
+
+export const STORE_ADAPTERS = ['netlify', 'file', 'memory'];
+
+// One instance per directory, so conditional writes share a lock table
+const fileStores = new Map();
+let memoryStore = null;
+
+// options are passed through to getStore, e.g. { consistency: 'strong' }
+export function openStore(options = {}) {
+  const adapter = process.env.SOIL_STORE || 'netlify';
+
+  if (adapter === 'file') {
+    const dir = path.resolve(process.env.SOIL_FILE_STORE_DIR || '.soil-store', STORE_NAME);
+    if (!fileStores.has(dir)) fileStores.set(dir, createFileStore(dir));
+    return fileStores.get(dir);
+  }
+
+  if (adapter === 'memory') {
+    memoryStore = memoryStore || createMemoryStore();
+    return memoryStore;
+  }
+
+  if (adapter !== 'netlify') {
+    throw new Error(`Unknown SOIL_STORE "${adapter}", expected one of: ${STORE_ADAPTERS.join(', ')}`);
+  }
+  return getStore({ name: STORE_NAME, ...options });
+}
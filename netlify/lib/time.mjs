@@ -0,0 +1,73 @@
+// BADSEED SOIL - Date and timezone helpers
+// Storage is always keyed by UTC date/hour; timezones only apply when reading.
+
+const DAY_MS = 86400000;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const formatters = new Map();
+
+// UTC date (YYYY-MM-DD) and hour (00-23) of a timestamp, as used in blob keys
+export function utcDateHour(timestamp = Date.now()) {
+  const iso = new Date(timestamp).toISOString();
+  return { date: iso.slice(0, 10), hour: iso.slice(11, 13) };
+}
+
+export function isValidTimeZone(tz) {
+  try {
+    getFormatter(tz);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// A real calendar date: Date.parse rolls e.g. 2025-02-30 over into March,
+// so the parsed date must come back unchanged
+export function isIsoDate(value) {
+  if (!ISO_DATE.test(value || '')) return false;
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === value;
+}
+
+// Local calendar date and hour of a timestamp in the given timezone
+export function zonedDateHour(timestamp, tz) {
+  const parts = {};
+  getFormatter(tz).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parseInt(parts.hour, 10)
+  };
+}
+
+export function todayIn(tz) {
+  return zonedDateHour(Date.now(), tz).date;
+}
+
+// Shift a YYYY-MM-DD date by whole days
+export function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Inclusive list of dates between from and to
+export function datesBetween(from, to) {
+  const dates = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+function getFormatter(tz) {
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat('en-CA', {
+      timeZone: tz,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(tz);
+}
@@ -0,0 +1,130 @@
+// BADSEED SOIL - Event and card schema
+// Shared by the gateway (browser) and the analytics functions, so an event type
+// is defined here and nowhere else. Keep it dependency-free.
+
+// Cards the analytics functions accept. Every id in cards.json must be listed
+// here (test/cards.test.mjs checks); display order comes from the manifest.
+export const CARDS = ['voice', 'value', 'agent'];
+
+// Campaign params the gateway reads from its landing URL
+export const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+// Attribution the gateway attaches to page views and card clicks: the
+// session's utm_* params and landing page, and the document referrer
+const ATTRIBUTION = {
+  ...Object.fromEntries(UTM_PARAMS.map(param => [param, ['string', 128]])),
+  landing: ['string', 512],
+  referrer: ['string', 512]
+};
+
+// Event types we track.
+//   card: true  - the event must name one of CARDS
+//   data        - allowed fields of `data` as [type, maximum]: max value for
+//                 numbers, max length for strings, none for booleans.
+//                 Omitted means no data.
+export const EVENTS = {
+  page_view: { data: ATTRIBUTION },
+  page_exit: { data: { duration: ['number', 7 * 24 * 60 * 60 * 1000] } },
+  page_hidden: {},
+  page_visible: {},
+  card_hover_start: { card: true },
+  card_hover_end: { card: true, data: { duration: ['number', 24 * 60 * 60 * 1000] } },
+  card_click: { card: true, data: { targetUrl: ['string', 512], ...ATTRIBUTION } },
+  iframe_hover_start: { card: true },
+  iframe_hover_end: { card: true },
+  iframe_ready: { card: true },
+  // consentUpgrade: the visitor opted into full tracking mid-visit, reopening
+  // a session that was already counted anonymously
+  session_start: { data: { consentUpgrade: ['boolean'] } },
+  session_end: { data: { duration: ['number', 7 * 24 * 60 * 60 * 1000] } }
+};
+
+export const EVENT_TYPES = Object.keys(EVENTS);
+
+// Consent levels sent by the gateway. Events without one are treated as
+// aggregate-only: counted in stats, never stored or linked to a visitor.
+export const CONSENT_LEVELS = ['full', 'aggregate'];
+
+// Length caps for the free-form top-level fields
+const MAX_FIELD_LENGTH = { page: 64 };
+
+// Session IDs (and, in analytics-purge, visitor hashes) end up in blob keys,
+// so they are limited to characters that are safe in a key segment
+export const IDENTIFIER = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Zeroed counter per card, e.g. { voice: 0, value: 0, agent: 0 }
+export function perCard(initial = 0) {
+  const counts = {};
+  CARDS.forEach(card => {
+    counts[card] = initial;
+  });
+  return counts;
+}
+
+// Error message for an event we can't accept, or null if it's valid
+export function validateEvent(item) {
+  const spec = item?.event && Object.prototype.hasOwnProperty.call(EVENTS, item.event)
+    ? EVENTS[item.event]
+    : null;
+  if (!spec) {
+    return 'Invalid event type';
+  }
+  if (item.consent !== undefined && !CONSENT_LEVELS.includes(item.consent)) {
+    return 'Invalid consent level';
+  }
+  if (item.timestamp !== undefined && !Number.isFinite(item.timestamp)) {
+    return 'Invalid timestamp';
+  }
+
+  if (spec.card && !CARDS.includes(item.card)) {
+    return `Unknown card for ${item.event}: ${item.card}`;
+  }
+  if (!spec.card && item.card !== undefined && item.card !== null) {
+    return `${item.event} does not take a card`;
+  }
+
+  if (item.sessionId !== undefined && item.sessionId !== null && !isIdentifier(item.sessionId)) {
+    return 'Invalid sessionId';
+  }
+
+  for (const [field, maxLength] of Object.entries(MAX_FIELD_LENGTH)) {
+    const value = item[field];
+    if (value === undefined || value === null) continue;
+    if (typeof value !== 'string' || value.length > maxLength) {
+      return `Invalid ${field}`;
+    }
+  }
+
+  return validateData(item.event, item.data);
+}
+
+export function isIdentifier(value) {
+  return typeof value === 'string' && IDENTIFIER.test(value);
+}
+
+// Check `data` against the schema for its event type
+function validateData(eventType, data) {
+  if (data === undefined || data === null) return null;
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return 'Invalid data';
+  }
+
+  const schema = EVENTS[eventType].data || {};
+  for (const [field, value] of Object.entries(data)) {
+    if (!Object.prototype.hasOwnProperty.call(schema, field)) {
+      return `Unexpected data field for ${eventType}: ${field}`;
+    }
+
+    const [type, max] = schema[field];
+    const valid = type === 'number'
+      ? Number.isFinite(value) && value >= 0 && value <= max
+      : type === 'boolean'
+        ? typeof value === 'boolean'
+        : typeof value === type && value.length <= max;
+    if (!valid) {
+      return `Invalid data field for ${eventType}: ${field}`;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,384 @@
+// BADSEED SOIL - Stats Dashboard
+// Reads analytics-get for the selected range and analytics-stream for the live
+// ticker, both with the bearer token entered on the sign-in form.
+
+const SUMMARY_ENDPOINT = '/.netlify/functions/analytics-get';
+const STREAM_ENDPOINT = '/.netlify/functions/analytics-stream';
+const TOKEN_KEY = 'soil_stats_token';
+const MAX_TICKER_ITEMS = 50;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+let currentQuery = { range: '7d' };
+let streamController = null;
+
+// ========== AUTH ==========
+
+function getToken() {
+    try {
+        return sessionStorage.getItem(TOKEN_KEY);
+    } catch {
+        return null;
+    }
+}
+
+function setToken(token) {
+    try {
+        if (token) {
+            sessionStorage.setItem(TOKEN_KEY, token);
+        } else {
+            sessionStorage.removeItem(TOKEN_KEY);
+        }
+    } catch {}
+}
+
+function authHeaders(extra = {}) {
+    return { Authorization: `Bearer ${getToken()}`, ...extra };
+}
+
+function showLogin(message = '') {
+    stopStream();
+    document.getElementById('dashboard').classList.add('hidden');
+    document.getElementById('login').classList.remove('hidden');
+    const error = document.getElementById('login-error');
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+}
+
+function showDashboard() {
+    document.getElementById('login').classList.add('hidden');
+    document.getElementById('dashboard').classList.remove('hidden');
+    loadSummary();
+    startStream();
+}
+
+// A rejected token sends the user back to the sign-in form
+class AuthError extends Error {}
+
+async function fetchJSON(url) {
+    const response = await fetch(url, { headers: authHeaders() });
+    if (response.status === 401 || response.status === 503) {
+        throw new AuthError(response.status === 503 ? 'Analytics access is not configured' : 'Token rejected');
+    }
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.error || `HTTP ${response.status}`);
+    }
+    return body;
+}
+
+// ========== SUMMARY ==========
+
+async function loadSummary() {
+    const params = new URLSearchParams({ type: 'summary', tz: timeZone, ...currentQuery });
+    const errorEl = document.getElementById('summary-error');
+
+    try {
+        const summary = await fetchJSON(`${SUMMARY_ENDPOINT}?${params}`);
+        errorEl.classList.add('hidden');
+        renderSummary(summary);
+    } catch (err) {
+        if (err instanceof AuthError) {
+            setToken(null);
+            showLogin(err.message);
+            return;
+        }
+        errorEl.textContent = err.message;
+        errorEl.classList.remove('hidden');
+    }
+}
+
+function renderSummary(summary) {
+    document.getElementById('period').textContent = `${summary.from} - ${summary.to} (${summary.tz})`;
+
+    const { overview, botTraffic } = summary;
+    const metrics = {
+        pageViews: formatNumber(overview.pageViews),
+        uniqueVisitors: formatNumber(overview.uniqueVisitors),
+        sessions: formatNumber(overview.sessions),
+        avgSessionDuration: overview.avgSessionDuration ?? '-',
+        bounceRate: overview.bounceRate === null ? '-' : `${overview.bounceRate}%`,
+        botShare: `${botTraffic.share}%`
+    };
+    document.querySelectorAll('[data-metric]').forEach(el => {
+        el.textContent = metrics[el.dataset.metric];
+        el.title = summary.consentedOnly.includes(el.dataset.metric) ? 'Visitors with full consent only' : '';
+    });
+
+    renderBars(document.getElementById('daily-chart'), summary.dailyStats.map(day => ({
+        label: day.date.slice(5),
+        values: [day.pageViews, day.uniqueVisitors]
+    })));
+
+    renderBars(document.getElementById('hourly-chart'), summary.hourlyActivity.map((count, hour) => ({
+        label: hour.toString().padStart(2, '0'),
+        values: [count],
+        peak: hour === summary.peakHour && count > 0
+    })));
+    document.getElementById('peak-hour').textContent = summary.hourlyActivity[summary.peakHour] > 0
+        ? `PEAK ${summary.peakHour.toString().padStart(2, '0')}:00`
+        : '';
+
+    const cardRows = Object.entries(summary.cardEngagement).map(([card, stats]) => [
+        card.toUpperCase(),
+        formatNumber(stats.hovers),
+        formatNumber(stats.clicks),
+        `${stats.clickRate}%`,
+        `${(stats.avgHoverTime / 1000).toFixed(1)}s`,
+        `${stats.share}%`
+    ]);
+    replaceChildren(document.getElementById('card-table'), cardRows.map(cells => {
+        const row = document.createElement('tr');
+        cells.forEach(text => row.appendChild(element('td', text)));
+        return row;
+    }));
+
+    renderRanking(document.getElementById('top-countries'), summary.topCountries.map(c => [c.country, c.count]));
+    renderRanking(document.getElementById('top-referers'), summary.topReferers.map(r => [r.referer, r.count]));
+
+    const campaignRows = summary.campaigns.map(c => [
+        `${c.source} / ${c.medium} / ${c.campaign}`,
+        formatNumber(c.pageViews),
+        formatNumber(c.clicks),
+        Object.entries(c.cardClicks)
+            .filter(([, clicks]) => clicks > 0)
+            .map(([card, clicks]) => `${card.toUpperCase()} ${formatNumber(clicks)}`)
+            .join(' · ') || '-'
+    ]);
+    replaceChildren(document.getElementById('campaign-table'), campaignRows.map(cells => {
+        const row = document.createElement('tr');
+        cells.forEach(text => row.appendChild(element('td', text)));
+        return row;
+    }));
+}
+
+function renderRanking(list, entries) {
+    if (entries.length === 0) {
+        replaceChildren(list, [element('li', 'NO DATA')]);
+        return;
+    }
+    replaceChildren(list, entries.map(([name, count]) => {
+        const item = document.createElement('li');
+        item.appendChild(element('span', name));
+        item.appendChild(element('span', formatNumber(count)));
+        return item;
+    }));
+}
+
+// ========== CHARTS ==========
+
+// Grouped bar chart: one group per entry, one bar per value (first = primary)
+function renderBars(container, entries) {
+    const width = 600;
+    const height = 160;
+    const axis = 14;
+    const max = Math.max(1, ...entries.flatMap(entry => entry.values));
+    const groupWidth = width / Math.max(1, entries.length);
+    // Thin out labels so they don't overlap on long ranges
+    const labelEvery = Math.ceil(entries.length / 12);
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+    entries.forEach((entry, i) => {
+        const barWidth = (groupWidth * 0.8) / entry.values.length;
+        entry.values.forEach((value, j) => {
+            const barHeight = ((height - axis) * value) / max;
+            const bar = document.createElementNS(SVG_NS, 'rect');
+            bar.setAttribute('x', i * groupWidth + groupWidth * 0.1 + j * barWidth);
+            bar.setAttribute('y', height - axis - barHeight);
+            bar.setAttribute('width', barWidth);
+            bar.setAttribute('height', barHeight);
+            bar.setAttribute('class', `bar${j > 0 ? ' secondary' : ''}${entry.peak ? ' peak' : ''}`);
+
+            const title = document.createElementNS(SVG_NS, 'title');
+            title.textContent = `${entry.label}: ${formatNumber(value)}`;
+            bar.appendChild(title);
+            svg.appendChild(bar);
+        });
+
+        if (i % labelEvery === 0) {
+            const label = document.createElementNS(SVG_NS, 'text');
+            label.setAttribute('x', i * groupWidth + groupWidth / 2);
+            label.setAttribute('y', height - 2);
+            label.setAttribute('text-anchor', 'middle');
+            label.setAttribute('class', 'axis');
+            label.textContent = entry.label;
+            svg.appendChild(label);
+        }
+    });
+
+    replaceChildren(container, [svg]);
+}
+
+// ========== LIVE TICKER ==========
+// fetch() rather than EventSource, which can't send the Authorization header.
+// Each response ends after a few seconds; we reconnect with Last-Event-ID.
+
+function startStream() {
+    stopStream();
+    streamController = new AbortController();
+    runStream(streamController.signal);
+}
+
+function stopStream() {
+    if (streamController) {
+        streamController.abort();
+        streamController = null;
+    }
+}
+
+async function runStream(signal) {
+    let lastEventId = '';
+    let retryMs = 1000;
+
+    while (!signal.aborted) {
+        try {
+            const headers = authHeaders(lastEventId ? { 'Last-Event-ID': lastEventId } : {});
+            const response = await fetch(STREAM_ENDPOINT, { headers, signal });
+            if (response.status === 401 || response.status === 503) {
+                setToken(null);
+                showLogin(response.status === 503 ? 'Analytics access is not configured' : 'Token rejected');
+                return;
+            }
+            if (!response.ok || !response.body) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            setLiveStatus(true);
+
+            const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += value;
+
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+                    const message = parseMessage(buffer.slice(0, boundary));
+                    buffer = buffer.slice(boundary + 2);
+                    if (message.retry) retryMs = message.retry;
+                    if (message.id) lastEventId = message.id;
+                    if (message.event) handleStreamMessage(message);
+                }
+            }
+        } catch (err) {
+            if (signal.aborted) return;
+            setLiveStatus(false);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, retryMs));
+    }
+}
+
+function parseMessage(block) {
+    const message = { data: '' };
+    block.split('\n').forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon <= 0) return;
+        const field = line.slice(0, colon);
+        const value = line.slice(colon + 1).replace(/^ /, '');
+        if (field === 'data') message.data += value;
+        if (field === 'event' || field === 'id') message[field] = value;
+        if (field === 'retry') message.retry = parseInt(value, 10) || null;
+    });
+    return message;
+}
+
+function handleStreamMessage({ event, data }) {
+    let payload;
+    try {
+        payload = JSON.parse(data);
+    } catch {
+        return;
+    }
+
+    if (event === 'stats') {
+        document.getElementById('live-active').textContent = formatNumber(payload.activeVisitors);
+        document.getElementById('live-views').textContent = formatNumber(payload.pageViews);
+        // Only the opening snapshot fills an empty ticker; later events arrive one by one
+        const ticker = document.getElementById('ticker');
+        if (ticker.children.length === 0) {
+            payload.eventStream.slice().reverse().forEach(item => addTickerItem(item, false));
+        }
+    } else if (event === 'analytics') {
+        addTickerItem(payload, true);
+    }
+}
+
+function addTickerItem(item, fresh) {
+    const ticker = document.getElementById('ticker');
+    const row = document.createElement('li');
+    if (fresh) row.className = 'fresh';
+    row.appendChild(element('span', new Date(item.timestamp).toLocaleTimeString()));
+    row.appendChild(element('span', item.event));
+    row.appendChild(element('span', item.card || ''));
+    row.appendChild(element('span', item.country || ''));
+    ticker.prepend(row);
+
+    while (ticker.children.length > MAX_TICKER_ITEMS) {
+        ticker.lastElementChild.remove();
+    }
+}
+
+function setLiveStatus(connected) {
+    const status = document.getElementById('live-status');
+    status.textContent = connected ? 'CONNECTED' : 'RECONNECTING';
+    status.classList.toggle('connected', connected);
+}
+
+// ========== HELPERS ==========
+
+function element(tag, text) {
+    const el = document.createElement(tag);
+    el.textContent = text;
+    return el;
+}
+
+function replaceChildren(parent, children) {
+    parent.textContent = '';
+    children.forEach(child => parent.appendChild(child));
+}
+
+function formatNumber(value) {
+    return typeof value === 'number' ? value.toLocaleString() : '-';
+}
+
+// ========== INIT ==========
+
+document.getElementById('login-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const input = document.getElementById('token');
+    setToken(input.value.trim());
+    input.value = '';
+    showDashboard();
+});
+
+document.getElementById('logout').addEventListener('click', () => {
+    setToken(null);
+    showLogin();
+});
+
+document.querySelectorAll('[data-range]').forEach(button => {
+    button.addEventListener('click', () => {
+        document.querySelectorAll('[data-range]').forEach(b => b.classList.toggle('selected', b === button));
+        currentQuery = { range: button.dataset.range };
+        loadSummary();
+    });
+});
+
+document.getElementById('custom-range').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const { from, to } = e.target.elements;
+    if (!from.value) return;
+    document.querySelectorAll('[data-range]').forEach(b => b.classList.remove('selected'));
+    currentQuery = { from: from.value };
+    if (to.value) currentQuery.to = to.value;
+    loadSummary();
+});
+
+if (getToken()) {
+    showDashboard();
+} else {
+    showLogin();
+}
@@ -0,0 +1,93 @@
+import { mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Credentials and CORS are read from the environment on every request, so
+// each test sets the variables it needs
+process.env.SOIL_STORE = 'memory';
+
+const { default: get } = await import('../netlify/functions/analytics-get.mjs');
+const { createApiKey } = await import('../netlify/lib/auth.mjs');
+
+const DASHBOARD = 'https://dash.example';
+
+test.beforeEach(() => {
+  process.env.SOIL_STORE = 'memory';
+  process.env.SOIL_ANALYTICS_TOKEN = 'test-token';
+  process.env.SOIL_DASHBOARD_ORIGINS = DASHBOARD;
+  delete process.env.SOIL_API_KEY_SECRET;
+});
+
+async function request(headers = {}) {
+  const res = await get(new Request('http://site.test/.netlify/functions/analytics-get?type=realtime', { headers }));
+  return { status: res.status, headers: res.headers, body: await res.json() };
+}
+
+const bearer = credential => ({ authorization: `Bearer ${credential}` });
+
+test('shared tokens are checked', async () => {
+  process.env.SOIL_ANALYTICS_TOKEN = 'first, second';
+  assert.equal((await request(bearer('second'))).status, 200);
+
+  const wrong = await request(bearer('third'));
+  assert.equal(wrong.status, 401);
+  assert.deepEqual(wrong.body, { error: 'Invalid credentials' });
+  assert.equal(wrong.headers.get('www-authenticate'), 'Bearer');
+});
+
+test('signed API keys are accepted and tampered ones refused', async () => {
+  delete process.env.SOIL_ANALYTICS_TOKEN;
+  process.env.SOIL_API_KEY_SECRET = 'key-secret';
+  const key = createApiKey('dashboard');
+  assert.match(key, /^dashboard\.[A-Za-z0-9_-]+$/);
+  assert.equal((await request(bearer(key))).status, 200);
+
+  const signature = key.slice(key.indexOf('.') + 1);
+  const tampered = [
+    `dashboard.${signature.startsWith('A') ? 'B' : 'A'}${signature.slice(1)}`,
+    `admin.${signature}`,
+    createApiKey('dashboard', 'other-secret')
+  ];
+  for (const credential of tampered) {
+    assert.deepEqual((await request(bearer(credential))).body, { error: 'Invalid credentials' });
+  }
+});
+
+test('refuses every request while no credentials are configured', async () => {
+  delete process.env.SOIL_ANALYTICS_TOKEN;
+  const res = await request(bearer('test-token'));
+  assert.equal(res.status, 503);
+  assert.deepEqual(res.body, { error: 'Analytics API is not configured' });
+});
+
+test('grants CORS to dashboard origins only', async () => {
+  const allowed = await request({ ...bearer('test-token'), origin: DASHBOARD });
+  assert.equal(allowed.headers.get('access-control-allow-origin'), DASHBOARD);
+  assert.equal(allowed.headers.get('vary'), 'Origin');
+
+  // Signed in or not, a foreign origin is granted nothing
+  for (const headers of [{ ...bearer('test-token'), origin: 'https://evil.example' }, { origin: 'https://evil.example' }]) {
+    const res = await request(headers);
+    assert.equal(res.headers.get('access-control-allow-origin'), null);
+  }
+
+  const preflight = await get(new Request('http://site.test/.netlify/functions/analytics-get', {
+    method: 'OPTIONS',
+    headers: { origin: DASHBOARD }
+  }));
+  assert.equal(preflight.status, 204);
+  assert.equal(preflight.headers.get('access-control-allow-origin'), DASHBOARD);
+  assert.equal(preflight.headers.get('access-control-allow-headers'), 'Content-Type, Authorization');
+});
+
+test('answers unexpected errors without their details', async () => {
+  process.env.SOIL_STORE = 'tape';
+  const logged = mock.method(console, 'error', () => {});
+  try {
+    const res = await request(bearer('test-token'));
+    assert.equal(res.status, 500);
+    assert.deepEqual(res.body, { error: 'Internal error' });
+    assert.match(String(logged.mock.calls[0].arguments[1]), /Unknown SOIL_STORE "tape"/);
+  } finally {
+    logged.mock.restore();
+  }
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { CARDS } from '../schema.mjs';
+
+const manifest = JSON.parse(await readFile(new URL('../cards.json', import.meta.url), 'utf8'));
+
+test('every card in the manifest is known to the analytics schema', () => {
+  const ids = manifest.cards.map(card => card.id);
+  assert.equal(new Set(ids).size, ids.length, 'card ids must be unique');
+  ids.forEach(id => assert.ok(CARDS.includes(id), `${id} is missing from CARDS in schema.mjs`));
+});
+
+test('every card has the fields the gateway renders', () => {
+  manifest.cards.forEach(card => {
+    ['id', 'title', 'subtitle', 'hoverVideo', 'transitionVideo', 'url'].forEach(field => {
+      assert.equal(typeof card[field], 'string', `${card.id}.${field}`);
+    });
+  });
+});
+
+test('gateway origins are bare origins', () => {
+  assert.ok(Array.isArray(manifest.gatewayOrigins));
+  manifest.gatewayOrigins.forEach(origin => {
+    assert.equal(new URL(origin).origin, origin, `${origin} must be a scheme, host and port only`);
+  });
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+const dir = await mkdtemp(path.join(tmpdir(), 'soil-store-'));
+process.env.SOIL_STORE = 'file';
+process.env.SOIL_FILE_STORE_DIR = dir;
+process.env.SOIL_ANALYTICS_TOKEN = 'test-token';
+
+const { default: exportHandler } = await import('../netlify/functions/analytics-export.mjs');
+const { openStore } = await import('../netlify/lib/store.mjs');
+const { updateStats } = await import('../netlify/lib/stats.mjs');
+const { eventKey, makeEvent } = await import('./helpers/events.mjs');
+
+const DATE = '2025-01-15';
+
+test.after(() => rm(dir, { recursive: true, force: true }));
+
+const at = minute => `${DATE}T12:${String(minute).padStart(2, '0')}:00Z`;
+
+async function seed() {
+  const store = openStore();
+  const events = [
+    makeEvent('page_view', at(0)),
+    makeEvent('card_hover_start', at(1), { card: 'voice' }),
+    makeEvent('card_click', at(2), { card: 'voice' }),
+    makeEvent('page_view', at(3), { bot: { reasons: ['bot_user_agent'] } })
+  ];
+  for (const [i, event] of events.entries()) {
+    await store.setJSON(eventKey(event, `e${i}`), event);
+  }
+  await updateStats(store, events);
+}
+
+async function get(query) {
+  const res = await exportHandler(new Request(`http://site.test/?${query}`, {
+    headers: { authorization: 'Bearer test-token' }
+  }));
+  return { status: res.status, type: res.headers.get('content-type'), text: await res.text() };
+}
+
+test('exports raw events as NDJSON and resumes after a key', async () => {
+  await seed();
+
+  const all = await get(`dataset=events&from=${DATE}&to=${DATE}`);
+  assert.equal(all.status, 200);
+  assert.match(all.type, /application\/x-ndjson/);
+  const lines = all.text.trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(lines.map(line => line.event), ['page_view', 'card_hover_start', 'card_click']);
+
+  const rest = await get(`dataset=events&from=${DATE}&to=${DATE}&after=${encodeURIComponent(lines[0].key)}`);
+  assert.deepEqual(rest.text.trim().split('\n').map(line => JSON.parse(line).event), ['card_hover_start', 'card_click']);
+});
+
+test('exports daily stats and card engagement as CSV', async () => {
+  const daily = await get(`dataset=daily&from=${DATE}&to=${DATE}`);
+  assert.match(daily.type, /text\/csv/);
+  const [header, row] = daily.text.trim().split('\r\n').map(line => line.split(','));
+  const day = Object.fromEntries(header.map((name, i) => [name, row[i]]));
+  assert.equal(day.date, DATE);
+  assert.equal(day.pageViews, '1');
+  assert.equal(day.botEvents, '1');
+  assert.equal(day.voiceClicks, '1');
+
+  const cards = await get(`dataset=cards&from=${DATE}&to=${DATE}`);
+  const voice = cards.text.trim().split('\r\n').find(line => line.includes(',voice,'));
+  assert.equal(voice, `${DATE},voice,1,1,0,100,100`);
+});
+
+test('rejects unknown datasets and malformed cursors', async () => {
+  assert.equal((await get('dataset=sessions')).status, 400);
+  assert.equal((await get('dataset=events&after=stats/2025-01-15')).status, 400);
+});
@@ -0,0 +1,482 @@
+import { mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+// End to end: the fixture's requests are replayed through analytics-track at
+// their recorded times, then analytics-get reports on them from the same
+// in-memory store
+process.env.SOIL_STORE = 'memory';
+process.env.SOIL_ANALYTICS_TOKEN = 'test-token';
+
+const { default: track } = await import('../netlify/functions/analytics-track.mjs');
+const { default: get } = await import('../netlify/functions/analytics-get.mjs');
+const { hashVisitor } = await import('../netlify/lib/identity.mjs');
+const { rollUpSessions } = await import('../netlify/lib/maintenance.mjs');
+const { openStore } = await import('../netlify/lib/store.mjs');
+const { updateStats } = await import('../netlify/lib/stats.mjs');
+const { makeEvent } = await import('./helpers/events.mjs');
+
+const fixture = JSON.parse(await readFile(new URL('./fixtures/gateway-day.json', import.meta.url), 'utf8'));
+const DATE = fixture.date;
+const REPORT_TIME = Date.parse(`${DATE}T14:30:00Z`);
+const at = time => Date.parse(`${DATE}T${time}Z`);
+
+const trackResponses = [];
+
+test.before(async () => {
+  mock.timers.enable({ apis: ['Date'], now: Date.parse(fixture.requests[0].at) });
+
+  for (const { at: receivedAt, client, events } of fixture.requests) {
+    mock.timers.setTime(Date.parse(receivedAt));
+    const body = events.map(({ time, ...event }) => ({ ...event, timestamp: Date.parse(time) }));
+    const res = await track(new Request('http://site.test/.netlify/functions/analytics-track', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...fixture.clients[client] },
+      body: JSON.stringify({ events: body })
+    }));
+    trackResponses.push({ status: res.status, body: await res.json() });
+  }
+
+  mock.timers.setTime(REPORT_TIME);
+
+  // As the hourly maintenance run would: by 14:30 only the 09:00 hour's
+  // sessions are over
+  await rollUpSessions(openStore(), { now: REPORT_TIME });
+});
+
+test.after(() => mock.timers.reset());
+
+function trackRequest(method, body, headers = {}) {
+  return track(new Request('http://site.test/.netlify/functions/analytics-track', {
+    method,
+    headers: { 'content-type': 'application/json', ...headers },
+    body
+  }));
+}
+
+async function report(query, init = {}) {
+  const res = await get(new Request(`http://site.test/.netlify/functions/analytics-get?${query}`, {
+    headers: { authorization: 'Bearer test-token' },
+    ...init
+  }));
+  return { status: res.status, body: res.status === 204 ? null : await res.json() };
+}
+
+test('tracks every fixture batch and stores only fully consented events', async () => {
+  assert.deepEqual(trackResponses.map(r => [r.status, r.body.accepted, r.body.rejected]),
+    [[200, 8, 0], [200, 1, 0], [200, 1, 0], [200, 6, 0], [200, 4, 0], [200, 3, 0], [200, 1, 0], [200, 1, 0]]);
+
+  const keys = trackResponses.flatMap(r => r.body.results.map(result => result.eventKey));
+  assert.equal(keys.filter(key => key === null).length, 3);
+  keys.filter(Boolean).forEach(key => assert.match(key, /^events\/2025-01-15\/(09|14)\/\d+-[a-z0-9]+$/));
+
+  const { blobs } = await openStore().list({ prefix: 'events/' });
+  assert.equal(blobs.length, 22);
+});
+
+function campaign(source, medium, name, pageViews, clicks = {}) {
+  const cardClicks = { voice: 0, value: 0, agent: 0, ...clicks };
+  const total = Object.values(cardClicks).reduce((sum, n) => sum + n, 0);
+  return { source, medium, campaign: name, pageViews, clicks: total, cardClicks };
+}
+
+test('summary matches the replayed day exactly', async () => {
+  const { status, body } = await report(`type=summary&from=${DATE}&to=${DATE}&tz=UTC&sessions=1`);
+  assert.equal(status, 200);
+
+  const hourlyActivity = Array(24).fill(0);
+  hourlyActivity[9] = 8;
+  hourlyActivity[14] = 14;
+
+  assert.deepEqual(body, {
+    range: 'custom',
+    from: DATE,
+    to: DATE,
+    tz: 'UTC',
+    generated: REPORT_TIME,
+    mode: 'production-blobs',
+    overview: {
+      pageViews: 4,
+      // carol's anonymous view counts by a hash that is never stored
+      uniqueVisitors: 3,
+      // session_start events, anonymous ones included
+      sessions: 2,
+      // Only alice's 09:00 session is over and rolled up
+      avgSessionDuration: '4s',
+      avgEngagedTime: '4s',
+      bounceRate: 0
+    },
+    consentedOnly: ['avgSessionDuration', 'avgEngagedTime', 'bounceRate'],
+    // All three replayed with sessions=1
+    sessions: {
+      count: 3,
+      timeoutMinutes: 30,
+      bounces: 1,
+      bounceRate: 33,
+      avgSessionLength: 45,
+      avgEngagedTime: 25,
+      avgHiddenTime: 20,
+      sessionLength: { p50: 4, p75: 131, p90: 131, p95: 131 },
+      engagedTime: { p50: 4, p75: 71, p90: 71, p95: 71 }
+    },
+    // The crawler's page view and dave's two out-of-order events
+    botTraffic: { events: 3, share: 12 },
+    // voice: 3 hovers (4000ms in total), 1 click; value and agent one hover each
+    cardEngagement: {
+      voice: { hovers: 3, clicks: 1, avgHoverTime: 1333, clickRate: 33, share: 60 },
+      value: { hovers: 1, clicks: 0, avgHoverTime: 3000, clickRate: 0, share: 20 },
+      agent: { hovers: 1, clicks: 0, avgHoverTime: 1000, clickRate: 0, share: 20 }
+    },
+    topCountries: [
+      { country: 'DE', count: 10 },
+      { country: 'NL', count: 9 },
+      { country: 'US', count: 3 }
+    ],
+    topReferers: [
+      { referer: 't.co', count: 9 },
+      { referer: 'news.ycombinator.com', count: 3 }
+    ],
+    // The crawler's page view is bot traffic and not attributed
+    campaigns: [
+      campaign('x', 'social', 'launch', 1, { voice: 1 }),
+      campaign('news.ycombinator.com', 'referral', '(none)', 1),
+      campaign('pump.fun', 'referral', '(none)', 1),
+      campaign('t.co', 'referral', '(none)', 1)
+    ],
+    hourlyActivity,
+    peakHour: 14,
+    dailyStats: [{ date: DATE, pageViews: 4, uniqueVisitors: 3, sessions: 2 }]
+  });
+});
+
+test('summary regroups hours into the requested timezone', async () => {
+  // 14:xx UTC is 23:xx in Tokyo, 09:xx UTC is 18:xx
+  const { body } = await report(`type=summary&from=${DATE}&to=${DATE}&tz=Asia/Tokyo`);
+  assert.equal(body.peakHour, 23);
+  assert.equal(body.hourlyActivity[18], 8);
+  assert.equal(body.overview.pageViews, 4);
+});
+
+test('summary compares against the previous period or a named baseline', async () => {
+  // The day before only has rollups: two page views and a voice hover, from NL via t.co
+  const before = Date.parse('2025-01-14T10:00:00Z');
+  const event = (type, visitorHash, card = null) => makeEvent(type, before, {
+    card, consent: 'full', sessionId: null, visitorHash, client: { country: 'NL', referer: 'https://t.co/x' }, attribution: null
+  });
+  await updateStats(openStore(), [event('page_view', 'a'), event('page_view', 'b'), event('card_hover_start', 'a', 'voice')]);
+
+  const { status, body } = await report(`type=summary&from=${DATE}&to=${DATE}&tz=UTC&sessions=1&compare=previous`);
+  assert.equal(status, 200);
+  const { comparison } = body;
+  assert.equal(comparison.from, '2025-01-14');
+  assert.equal(comparison.to, '2025-01-14');
+
+  assert.deepEqual(comparison.overview.pageViews, { current: 4, previous: 2, change: 2, changePct: 100 });
+  assert.deepEqual(comparison.overview.uniqueVisitors, { current: 3, previous: 2, change: 1, changePct: 50 });
+  assert.deepEqual(comparison.overview.sessions, { current: 2, previous: 0, change: 2, changePct: null });
+  // No raw events that day, so no sessions were rolled up
+  assert.deepEqual(comparison.overview.avgSessionDuration, { current: 4, previous: 0, change: 4, changePct: null });
+  assert.deepEqual(comparison.cardEngagement.voice.hovers, { current: 3, previous: 1, change: 2, changePct: 200 });
+  assert.deepEqual(comparison.topCountries, [
+    { country: 'DE', current: 10, previous: 0, change: 10, changePct: null },
+    { country: 'NL', current: 9, previous: 3, change: 6, changePct: 200 },
+    { country: 'US', current: 3, previous: 0, change: 3, changePct: null }
+  ]);
+  assert.deepEqual(comparison.topReferers, [
+    { referer: 't.co', current: 9, previous: 3, change: 6, changePct: 200 },
+    { referer: 'news.ycombinator.com', current: 3, previous: 0, change: 3, changePct: null }
+  ]);
+
+  const named = await report(`type=summary&from=${DATE}&to=${DATE}&tz=UTC&sessions=1&compareFrom=2025-01-14&compareTo=2025-01-14`);
+  assert.deepEqual(named.body.comparison, comparison);
+
+  // Long ranges get session metrics from the rollups, without a replay
+  const long = await report(`type=summary&from=2024-12-01&to=${DATE}&tz=UTC&compare=previous`);
+  assert.equal(long.body.comparison.from, '2024-10-16');
+  assert.deepEqual(long.body.comparison.overview.avgSessionDuration,
+    { current: 4, previous: 0, change: 4, changePct: null });
+  assert.deepEqual(long.body.comparison.overview.pageViews, { current: 6, previous: 0, change: 6, changePct: null });
+  assert.equal(long.body.sessions, null);
+  assert.deepEqual(await report(`type=summary&from=2024-12-01&to=${DATE}&tz=UTC&sessions=1`),
+    { status: 400, body: { error: 'Session metrics range cannot exceed 7 days' } });
+
+  const invalid = [
+    ['compare=last', 'compare must be "previous" (or use compareFrom/compareTo)'],
+    ['compareFrom=2025-01-14', 'compareFrom and compareTo must be YYYY-MM-DD dates'],
+    ['compareFrom=2025-01-14&compareTo=2025-01-01', 'compareFrom must not be after compareTo'],
+    ['compareFrom=2023-01-01&compareTo=2025-01-01', 'Comparison range cannot exceed 366 days'],
+    ['sessions=1&compareFrom=2025-01-01&compareTo=2025-01-08', 'Session metrics range cannot exceed 7 days']
+  ];
+  for (const [query, error] of invalid) {
+    assert.deepEqual(await report(`type=summary&from=${DATE}&to=${DATE}&${query}`), { status: 400, body: { error } });
+  }
+});
+
+test('funnel follows each card through the replayed sessions', async () => {
+  const { status, body } = await report(`type=funnel&from=${DATE}&to=${DATE}&tz=UTC`);
+  assert.equal(status, 200);
+  assert.equal(body.eventsScanned, 19);
+  assert.equal(body.sessions, 3);
+
+  // [sessions, dropOff, dropOffRate, medianTimeFromPrevious] per step. Only
+  // alice's first session loaded the cards; she hovered and clicked voice.
+  const steps = card => body.cards[card].steps.map(s => [s.sessions, s.dropOff, s.dropOffRate, s.medianTimeFromPrevious]);
+  assert.deepEqual(steps('voice'), [[3, 0, 0, null], [1, 2, 67, 1200], [1, 0, 0, 800], [1, 0, 0, 2000]]);
+  assert.deepEqual(steps('value'), [[3, 0, 0, null], [1, 2, 67, 1300], [0, 1, 100, null], [0, 0, 0, null]]);
+  assert.equal(body.cards.voice.conversionRate, 33);
+  assert.equal(body.cards.agent.conversionRate, 0);
+
+  assert.deepEqual(body.crossCard, {
+    sessionsWithClick: 1,
+    multiCardHoverBeforeClick: 0,
+    multiCardHoverRate: 0,
+    medianCardsHoveredBeforeClick: 1
+  });
+
+  assert.deepEqual(await report('type=funnel&from=2024-12-01&to=2025-01-15'),
+    { status: 400, body: { error: 'Funnel range cannot exceed 31 days' } });
+});
+
+test('realtime covers the last 30 minutes from the minute rollups', async () => {
+  const item = (time, event, card, country) => ({ event, card, timestamp: at(time), country });
+  const { status, body } = await report('type=realtime');
+  assert.equal(status, 200);
+
+  assert.deepEqual(body, {
+    generated: REPORT_TIME,
+    mode: 'production-blobs',
+    window: '30m',
+    activeVisitors: 1,
+    // Counts include aggregate-only events; the stream lists stored ones
+    pageViews: 3,
+    cardActivity: {
+      voice: { hovers: 2, clicks: 0 },
+      value: { hovers: 1, clicks: 0 },
+      agent: { hovers: 1, clicks: 0 }
+    },
+    eventStream: [
+      item('14:28:00', 'page_view', null, 'NL'),
+      item('14:12:11', 'card_hover_end', 'agent', 'DE'),
+      item('14:12:10', 'card_hover_start', 'agent', 'DE'),
+      item('14:12:00', 'page_visible', null, 'DE'),
+      item('14:11:00', 'page_hidden', null, 'DE'),
+      item('14:10:21', 'card_hover_end', 'voice', 'DE'),
+      item('14:10:20', 'card_hover_start', 'voice', 'DE'),
+      item('14:10:13', 'card_hover_end', 'value', 'DE'),
+      item('14:10:10', 'card_hover_start', 'value', 'DE'),
+      item('14:10:01', 'session_start', null, 'DE'),
+      item('14:10:00', 'page_view', null, 'DE')
+    ]
+  });
+});
+
+test('realtime counts anonymous visitors as active', async () => {
+  // An aggregate-only page view carries no visitor hash or session, but its
+  // request's hash still marks the visitor active
+  const anonymous = { ...fixture.clients.carol, 'x-forwarded-for': '203.0.113.77' };
+  const res = await trackRequest('POST', JSON.stringify({ event: 'page_view', consent: 'aggregate' }), anonymous);
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).eventKey, null);
+
+  const { body } = await report('type=realtime');
+  assert.equal(body.activeVisitors, 2);
+  assert.equal(body.pageViews, 4);
+});
+
+test('events lists the newest stored events, bots included', async () => {
+  const { status, body } = await report('type=events&limit=6');
+  assert.equal(status, 200);
+  assert.equal(body.generated, REPORT_TIME);
+  assert.equal(body.count, 6);
+  assert.deepEqual(body.events.map(e => [e.event, e.card, e.timestamp, e.sessionId]), [
+    ['page_view', null, at('14:28:00'), 'sess-alice-2'],
+    ['page_view', null, at('14:25:00'), 'sess-crawler'],
+    ['card_hover_end', 'agent', at('14:12:11'), 'sess-bob-1'],
+    ['card_hover_start', 'agent', at('14:12:10'), 'sess-bob-1'],
+    ['page_visible', null, at('14:12:00'), 'sess-bob-1'],
+    ['page_hidden', null, at('14:11:00'), 'sess-bob-1']
+  ]);
+
+  const salt = await openStore().get(`salts/${DATE}`, { type: 'text' });
+  const crawler = fixture.clients.crawler;
+  assert.deepEqual(body.events[1], {
+    event: 'page_view',
+    page: 'gateway',
+    card: null,
+    data: {},
+    consent: 'full',
+    sessionId: 'sess-crawler',
+    visitorHash: hashVisitor(salt, crawler['x-forwarded-for'], crawler['user-agent']),
+    timestamp: at('14:25:00'),
+    serverTime: at('14:25:00'),
+    client: { country: 'US', referer: 'direct' },
+    attribution: { source: '(direct)', medium: '(none)', campaign: '(none)' },
+    bot: { reasons: ['bot_user_agent'] }
+  });
+});
+
+test('out-of-sequence and clock-skewed events are stored as bot traffic', async () => {
+  const dave = async sessionId => (await report(`type=events&sessionId=${sessionId}`)).body.events
+    .map(e => [e.event, e.timestamp, e.bot]);
+
+  // A click in a session that never opened, and a page view stamped a day early
+  assert.deepEqual(await dave('sess-dave-1'), [['card_click', at('09:30:00'), { reasons: ['no_page_view'] }]]);
+  assert.deepEqual(await dave('sess-dave-2'),
+    [['page_view', Date.parse('2025-01-14T09:40:00Z'), { reasons: ['clock_skew'] }]]);
+
+  // Counted as bot events only; a flagged page view doesn't open its session
+  const { hours } = await openStore().get(`stats/${DATE}`, { type: 'json' });
+  assert.equal(hours['09'].botEvents, 2);
+  assert.equal(hours['09'].pageViews, 1);
+  assert.equal(hours['09'].cardClicks.value, 0);
+  assert.equal(await openStore().get(`sessions/${DATE}/sess-dave-2`), null);
+});
+
+test('events filters by session, card, event type, country and time', async () => {
+  const events = async query => (await report(`type=events&${query}`)).body.events
+    .map(e => [e.event, e.card, e.timestamp]);
+
+  const session = await events('sessionId=sess-bob-1&order=asc');
+  assert.equal(session.length, 10);
+  assert.deepEqual(session[0], ['page_view', null, at('14:10:00')]);
+  assert.deepEqual(session[9], ['card_hover_end', 'agent', at('14:12:11')]);
+
+  assert.deepEqual(await events('event=card_hover_start&card=voice,value'), [
+    ['card_hover_start', 'voice', at('14:10:20')],
+    ['card_hover_start', 'value', at('14:10:10')],
+    ['card_hover_start', 'voice', at('09:00:02')]
+  ]);
+  assert.deepEqual(await events(`card=voice&until=${DATE}T12:00:00Z`), [
+    ['card_click', 'voice', at('09:00:04')],
+    ['card_hover_end', 'voice', at('09:00:03')],
+    ['card_hover_start', 'voice', at('09:00:02')],
+    ['iframe_ready', 'voice', at('09:00:01.200')]
+  ]);
+  assert.deepEqual(await events(`country=us&since=${at('14:00:00')}`), [['page_view', null, at('14:25:00')]]);
+});
+
+test('events pages through the whole history with a cursor', async () => {
+  // Pages follow the time of receipt; client timestamps can be skewed
+  const pages = [];
+  let cursor = '';
+  do {
+    const { body } = await report(`type=events&order=asc&limit=4${cursor && `&cursor=${cursor}`}`);
+    pages.push(body.events.map(e => e.serverTime));
+    cursor = body.nextCursor;
+  } while (cursor);
+
+  assert.deepEqual(pages.map(page => page.length), [4, 4, 4, 4, 4, 2]);
+  const received = pages.flat();
+  assert.deepEqual(received, [...received].sort((a, b) => a - b));
+  assert.equal(received[0], at('09:00:05'));
+  assert.equal(received[21], at('14:28:01'));
+
+  // Newest first, the first page comes from the ring buffer and the rest from storage
+  const first = await report('type=events&limit=10');
+  const rest = await report(`type=events&limit=20&cursor=${first.body.nextCursor}`);
+  assert.deepEqual([...first.body.events, ...rest.body.events].map(e => e.serverTime), [...received].reverse());
+  assert.equal(rest.body.nextCursor, null);
+
+  const mismatched = await report(`type=events&order=asc&cursor=${first.body.nextCursor}`);
+  assert.equal(mismatched.status, 400);
+});
+
+test('realtime and events report their store time', async () => {
+  for (const type of ['realtime', 'events']) {
+    const res = await get(new Request(`http://site.test/.netlify/functions/analytics-get?type=${type}`, {
+      headers: { authorization: 'Bearer test-token' }
+    }));
+    assert.match(res.headers.get('server-timing'), /^store;dur=\d+\.\d$/);
+  }
+});
+
+test('track answers preflight, wrong methods and bad payloads', async () => {
+  const preflight = await trackRequest('OPTIONS');
+  assert.equal(preflight.status, 204);
+  assert.equal(preflight.headers.get('access-control-allow-methods'), 'POST, OPTIONS');
+
+  const wrongMethod = await trackRequest('GET');
+  assert.equal(wrongMethod.status, 405);
+  assert.deepEqual(await wrongMethod.json(), { error: 'Method not allowed' });
+
+  const cases = [
+    ['{not json', { error: 'Invalid JSON' }],
+    [JSON.stringify({ events: [] }), { error: 'Batch must contain between 1 and 50 events' }],
+    [JSON.stringify({ event: 'page_scroll' }), { error: 'Invalid event type' }],
+    [JSON.stringify({ event: 'card_click', card: 'wallet' }), { error: 'Unknown card for card_click: wallet' }],
+    [JSON.stringify({ event: 'page_view', consent: 'full', sessionId: '../../outside' }), { error: 'Invalid sessionId' }]
+  ];
+  for (const [body, expected] of cases) {
+    const res = await trackRequest('POST', body, fixture.clients.bob);
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), expected);
+  }
+
+  // A rejected session ID never reaches a key
+  const { blobs } = await openStore().list({ prefix: '' });
+  assert.ok(blobs.every(({ key }) => !key.includes('outside')));
+
+  const foreign = await trackRequest('POST', JSON.stringify({ event: 'page_view' }), { origin: 'https://evil.test' });
+  assert.equal(foreign.status, 403);
+});
+
+test('get answers preflight, wrong methods, bad tokens and bad queries', async () => {
+  assert.equal((await report('', { method: 'OPTIONS' })).status, 204);
+  assert.deepEqual(await report('', { method: 'POST' }), { status: 405, body: { error: 'Method not allowed' } });
+  assert.deepEqual(await report('', { headers: {} }), { status: 401, body: { error: 'Missing bearer token' } });
+
+  assert.deepEqual(await report('type=everything'), { status: 400, body: { error: 'Invalid type' } });
+  assert.deepEqual(await report('type=summary&tz=Mars/Olympus'),
+    { status: 400, body: { error: 'Unknown timezone: Mars/Olympus' } });
+  assert.deepEqual(await report('type=summary&from=2025-02-01&to=2025-01-01'),
+    { status: 400, body: { error: 'from must not be after to' } });
+  assert.deepEqual(await report('type=summary&from=2025-02-30&to=2025-03-05'),
+    { status: 400, body: { error: 'from and to must be YYYY-MM-DD dates' } });
+  assert.deepEqual(await report('type=summary&range=90d'),
+    { status: 400, body: { error: 'range must be one of: 1d, 7d, 30d' } });
+
+  const badEvents = [
+    ['limit=0', 'limit must be between 1 and 500'],
+    ['order=newest', 'order must be one of: desc, asc'],
+    ['cursor=bm9wZQ', 'cursor is not from a previous page in this order'],
+    ['card=wallet', 'Unknown card: wallet'],
+    ['event=page_scroll', 'Unknown event: page_scroll'],
+    ['since=last-week', 'since and until must be ISO 8601 times or epoch milliseconds'],
+    [`since=${DATE}T15:00:00Z&until=${DATE}T14:00:00Z`, 'since must not be after until']
+  ];
+  for (const [query, error] of badEvents) {
+    assert.deepEqual(await report(`type=events&${query}`), { status: 400, body: { error } });
+  }
+});
+
+test('track refuses oversized payloads and event floods', async () => {
+  const oversized = JSON.stringify({ event: 'page_view', data: { landing: 'x'.repeat(20000) } });
+  const tooLarge = await trackRequest('POST', oversized, fixture.clients.bob);
+  assert.equal(tooLarge.status, 413);
+  assert.deepEqual(await tooLarge.json(), { error: 'Payload exceeds 16384 bytes' });
+
+  // Rejected events still count: four batches use 200 of the session's 240 a minute
+  const flooder = { ...fixture.clients.bob, 'x-forwarded-for': '198.51.100.99' };
+  const flood = JSON.stringify({
+    events: Array.from({ length: 50 }, () => ({ event: 'page_scroll', sessionId: 'sess-flood', consent: 'full' }))
+  });
+  for (let i = 0; i < 4; i++) {
+    assert.equal((await trackRequest('POST', flood, flooder)).status, 400);
+  }
+
+  const limited = await trackRequest('POST', flood, flooder);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('retry-after'), '60');
+  assert.deepEqual(await limited.json(), { error: 'Rate limit exceeded', retryAfter: 60 });
+});
+
+test('rate limits keep no per-visitor record without full consent', async () => {
+  const { blobs } = await openStore().list({ prefix: `ratelimit/visitor/${DATE}/` });
+  const ids = blobs.map(({ key }) => key.split('/').pop());
+
+  const salt = await openStore().get(`salts/${DATE}`, { type: 'text' });
+  const carol = fixture.clients.carol;
+  const carolHash = hashVisitor(salt, carol['x-forwarded-for'], carol['user-agent']);
+  assert.ok(!ids.includes(carolHash));
+  assert.ok(ids.includes(carolHash.slice(0, 2)));
+});
@@ -0,0 +1,26 @@
+// Event records shaped as analytics-track stores them, for tests that seed a
+// store directly
+import { utcDateHour } from '../../netlify/lib/time.mjs';
+
+// Received at `time` (an ISO time or epoch ms), which is also the client's
+// timestamp unless extra says otherwise
+export function makeEvent(event, time, extra = {}) {
+  const at = typeof time === 'number' ? time : Date.parse(time);
+  return {
+    event,
+    card: null,
+    data: {},
+    sessionId: 's1',
+    visitorHash: 'v1',
+    timestamp: at,
+    serverTime: at,
+    client: { country: 'NL', referer: 'direct' },
+    ...extra
+  };
+}
+
+// Loose blob key for a record: events/<utc-date>/<utc-hour>/<receive time>-<id>
+export function eventKey(record, id) {
+  const { date, hour } = utcDateHour(record.serverTime);
+  return `events/${date}/${hour}/${record.serverTime}-${id}`;
+}
@@ -0,0 +1,71 @@
+import { mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SOIL_STORE = 'memory';
+process.env.SOIL_VISITOR_HASHING = 'off';
+
+const { default: track } = await import('../netlify/functions/analytics-track.mjs');
+const { estimateCardinality } = await import('../netlify/lib/hll.mjs');
+const { getDailySalt, hashVisitor, isVisitorHashingEnabled } = await import('../netlify/lib/identity.mjs');
+const { createMemoryStore } = await import('../netlify/lib/memory-store.mjs');
+const { readDailyBuckets } = await import('../netlify/lib/stats.mjs');
+const { openStore } = await import('../netlify/lib/store.mjs');
+const { utcDateHour } = await import('../netlify/lib/time.mjs');
+
+const saltKeys = store => [...store.blobs.keys()].filter(key => key.startsWith('salts/'));
+
+test('concurrent first requests of a day agree on one salt', async () => {
+  const store = createMemoryStore();
+  const set = mock.method(store, 'set');
+  const salts = await Promise.all(Array.from({ length: 10 }, () => getDailySalt(store, '2030-01-01')));
+
+  // Every request found no salt and tried to create one; only the first write landed
+  assert.equal(set.mock.callCount(), 10);
+  assert.equal(new Set(salts).size, 1);
+  assert.deepEqual(saltKeys(store), ['salts/2030-01-01']);
+  assert.equal(await store.get('salts/2030-01-01', { type: 'text' }), salts[0]);
+});
+
+test('a new day rotates the salt and deletes the old one', async () => {
+  const store = createMemoryStore();
+  const first = await getDailySalt(store, '2030-02-01');
+  const second = await getDailySalt(store, '2030-02-02');
+
+  assert.notEqual(first, second);
+  assert.deepEqual(saltKeys(store), ['salts/2030-02-02']);
+
+  // The same visitor is stable within a day and unlinkable across days
+  const ip = '203.0.113.5';
+  const userAgent = 'Mozilla/5.0';
+  assert.equal(hashVisitor(second, ip, userAgent), hashVisitor(second, ip, userAgent));
+  assert.notEqual(hashVisitor(first, ip, userAgent), hashVisitor(second, ip, userAgent));
+  assert.match(hashVisitor(second, ip, userAgent), /^[A-Za-z0-9_-]{22}$/);
+});
+
+test('with hashing off, events keep no hash and sessions stand in for visitors', async () => {
+  assert.equal(isVisitorHashingEnabled(), false);
+
+  const send = sessionId => track(new Request('http://site.test/.netlify/functions/analytics-track', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-forwarded-for': '203.0.113.5', 'user-agent': 'Mozilla/5.0' },
+    body: JSON.stringify({ event: 'page_view', consent: 'full', sessionId })
+  }));
+
+  // One IP and user agent, two sessions
+  const keys = [];
+  for (const sessionId of ['tab-a', 'tab-b', 'tab-a']) {
+    const res = await send(sessionId);
+    assert.equal(res.status, 200);
+    keys.push((await res.json()).eventKey);
+  }
+
+  const store = openStore();
+  for (const key of keys) {
+    assert.equal((await store.get(key, { type: 'json' })).visitorHash, null);
+  }
+
+  const today = utcDateHour(Date.now()).date;
+  const { days } = await readDailyBuckets(store, { from: today, to: today, tz: 'UTC' });
+  assert.equal(days[today].pageViews, 3);
+  assert.equal(estimateCardinality(days[today].visitors), 2);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { consumeRateLimit, RATE_LIMITS } from '../netlify/lib/limits.mjs';
+import { createMemoryStore } from '../netlify/lib/memory-store.mjs';
+
+const NOW = Date.parse('2025-01-15T12:00:10Z');
+
+test('allows events up to the session limit within a window', async () => {
+  const store = createMemoryStore();
+  const { limit } = RATE_LIMITS.session;
+
+  const first = await consumeRateLimit(store, 'session', 's1', limit - 1, NOW);
+  assert.equal(first.allowed, true);
+  assert.equal(first.remaining, 1);
+
+  const last = await consumeRateLimit(store, 'session', 's1', 1, NOW);
+  assert.equal(last.allowed, true);
+  assert.equal(last.remaining, 0);
+
+  const over = await consumeRateLimit(store, 'session', 's1', 1, NOW);
+  assert.equal(over.allowed, false);
+  assert.equal(over.retryAfter, 50);
+});
+
+test('a new window resets the budget', async () => {
+  const store = createMemoryStore();
+  const { limit, windowMs } = RATE_LIMITS.session;
+
+  await consumeRateLimit(store, 'session', 's1', limit, NOW);
+  const next = await consumeRateLimit(store, 'session', 's1', 1, NOW + windowMs);
+  assert.equal(next.allowed, true);
+});
+
+test('concurrent requests never exceed the limit', async () => {
+  const store = createMemoryStore();
+  const { limit } = RATE_LIMITS.visitor;
+
+  const results = await Promise.all(Array.from({ length: 30 }, () =>
+    consumeRateLimit(store, 'visitor', 'v1', 25, NOW)
+  ));
+
+  const allowed = results.filter(r => r.allowed).length;
+  assert.equal(allowed, Math.floor(limit / 25));
+});
@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readEvents, readRecentEvents } from '../netlify/lib/events.mjs';
+import { compactFinishedHours, enforceRetention, processPurges, PURGE_PREFIX, rollUpSessions, SESSION_ROLLUP_KEY } from '../netlify/lib/maintenance.mjs';
+import { createMemoryStore } from '../netlify/lib/memory-store.mjs';
+import { RECENT_KEY } from '../netlify/lib/rollups.mjs';
+import { readDailyBuckets } from '../netlify/lib/stats.mjs';
+import { eventKey, makeEvent } from './helpers/events.mjs';
+
+const DATE = '2025-01-15';
+const PERIOD = { from: DATE, to: DATE, tz: 'UTC' };
+
+const at = (hour, minute) => `${DATE}T${hour}:${String(minute).padStart(2, '0')}:00Z`;
+
+// 150 events at 10:xx (more than one list page) and two at 11:xx
+async function seed(store) {
+  for (let i = 0; i < 150; i++) {
+    const event = makeEvent('page_view', at('10', i % 60), { sessionId: `s${i % 3}`, visitorHash: `v${i % 5}` });
+    await store.setJSON(`events/${DATE}/10/${event.serverTime + i}-e${i}`, event);
+  }
+  for (const minute of [5, 6]) {
+    const event = makeEvent('page_view', at('11', minute));
+    await store.setJSON(eventKey(event, `late${minute}`), event);
+  }
+}
+
+const keysUnder = (store, prefix) => [...store.blobs.keys()].filter(key => key.startsWith(prefix));
+
+test('compacts finished hours into segments that readers still see', async () => {
+  const store = createMemoryStore({ pageSize: 100 });
+  await seed(store);
+  const before = await readEvents(store, PERIOD);
+
+  // At 11:15 the 10:00 hour is closed, the 11:00 one still open
+  const compacted = await compactFinishedHours(store, { now: Date.parse(`${DATE}T11:15:00Z`), retention: 36500 });
+  assert.equal(compacted, 150);
+  assert.deepEqual(keysUnder(store, `events/${DATE}/10/`), []);
+  assert.equal(keysUnder(store, `events/${DATE}/11/`).length, 2);
+  assert.ok(store.blobs.has(`segments/${DATE}/10`));
+
+  assert.deepEqual(await readEvents(store, PERIOD), before);
+
+  const recent = await readRecentEvents(store, {
+    since: Date.parse(`${DATE}T10:58:00Z`),
+    now: Date.parse(`${DATE}T11:10:00Z`)
+  });
+  assert.deepEqual(recent.map(({ event }) => event.serverTime),
+    [...before.map(e => e.serverTime).filter(t => t >= Date.parse(`${DATE}T10:58:00Z`))].sort((a, b) => a - b));
+
+  // A blob left behind next to its segment is not counted twice
+  const [first] = keysUnder(store, `segments/${DATE}/`);
+  const entry = JSON.parse(store.blobs.get(first).data.split('\n')[0]);
+  await store.setJSON(entry.key, entry.event);
+  assert.equal((await readEvents(store, PERIOD)).length, before.length);
+});
+
+test('retention drops old raw events and segments but keeps rollups', async () => {
+  const store = createMemoryStore({ pageSize: 100 });
+  await seed(store);
+  await compactFinishedHours(store, { now: Date.parse(`${DATE}T12:30:00Z`), retention: 36500 });
+  await store.setJSON(`stats/${DATE}`, { version: 2 });
+  await store.setJSON('events/2025-03-01/09/1-keep', makeEvent('page_view', at('09', 0)));
+  for (const key of ['sessions/s0', 'sessions/2025-02-27/s1', 'sessions/2025-02-28/s2', 'sessions/2025-03-01/s3']) {
+    await store.setJSON(key, { firstSeen: 1 });
+  }
+  for (const key of ['ratelimit/visitor/v0', 'ratelimit/visitor/2025-02-27/v1', 'ratelimit/session/2025-03-01/s3']) {
+    await store.setJSON(key, { windowStart: 1, count: 1 });
+  }
+
+  const deleted = await enforceRetention(store, { now: Date.parse('2025-03-01T12:00:00Z'), retention: 30 });
+  assert.equal(deleted, 6);
+  assert.deepEqual(keysUnder(store, 'sessions/'), ['sessions/2025-02-28/s2', 'sessions/2025-03-01/s3']);
+  assert.deepEqual(keysUnder(store, 'ratelimit/'), ['ratelimit/session/2025-03-01/s3']);
+  assert.deepEqual(keysUnder(store, `segments/${DATE}/`), []);
+  assert.deepEqual(keysUnder(store, `events/${DATE}/`), []);
+  assert.ok(store.blobs.has(`stats/${DATE}`));
+  assert.ok(store.blobs.has('events/2025-03-01/09/1-keep'));
+});
+
+test('purges a session from segments and loose blobs', async () => {
+  const store = createMemoryStore({ pageSize: 100 });
+  await seed(store);
+  await compactFinishedHours(store, { now: Date.parse(`${DATE}T12:00:00Z`), retention: 36500 });
+  await store.setJSON(`events/${DATE}/12/1-open`, makeEvent('page_view', at('12', 0), { sessionId: 's2' }));
+  await store.setJSON(`sessions/${DATE}/s2`, { firstSeen: 1 });
+  await store.setJSON(`ratelimit/session/${DATE}/s2`, { windowStart: 1, count: 1 });
+  await store.setJSON(RECENT_KEY, {
+    events: [{ key: 'k1', event: makeEvent('page_view', at('12', 0), { sessionId: 's2' }) }, { key: 'k2', event: makeEvent('page_view', at('12', 1)) }]
+  });
+  await store.setJSON(`${PURGE_PREFIX}p-1`, {
+    id: 'p-1', match: { sessionId: 's2' }, status: 'queued', requestedAt: 1, nextDate: null, removed: 0
+  });
+
+  const removed = await processPurges(store, { now: 2 });
+  assert.equal(removed, 51);
+
+  const remaining = await readEvents(store, PERIOD, { includeBots: true });
+  assert.equal(remaining.length, 102);
+  assert.ok(remaining.every(event => event.sessionId !== 's2'));
+  assert.ok(!store.blobs.has(`sessions/${DATE}/s2`));
+  assert.ok(!store.blobs.has(`ratelimit/session/${DATE}/s2`));
+  assert.deepEqual((await store.get(RECENT_KEY, { type: 'json' })).events.map(({ key }) => key), ['k2']);
+
+  const request = await store.get(`${PURGE_PREFIX}p-1`, { type: 'json' });
+  assert.equal(request.status, 'done');
+  assert.equal(request.removed, 51);
+
+  // Finished requests are not run again
+  assert.equal(await processPurges(store, { now: 3 }), 0);
+});
+
+test('rolls up ended sessions into the hour they started in', async () => {
+  const store = createMemoryStore({ pageSize: 100 });
+  const events = [
+    // s1 starts at 10:50 and carries on into 11:xx; s2 is a bounce at 11:05
+    makeEvent('page_view', at('10', 50)),
+    makeEvent('card_click', at('10', 55), { card: 'voice' }),
+    makeEvent('page_hidden', at('11', 20)),
+    makeEvent('page_view', at('11', 5), { sessionId: 's2' }),
+    makeEvent('page_view', at('10', 30), { sessionId: 's3', bot: { reasons: ['bot_user_agent'] } }),
+    makeEvent('page_view', at('13', 0), { sessionId: 's4' })
+  ];
+  for (const [i, event] of events.entries()) {
+    await store.setJSON(eventKey(event, `r${i}`), event);
+  }
+  await compactFinishedHours(store, { now: Date.parse(`${DATE}T12:15:00Z`), retention: 36500 });
+
+  // At 12:15 both of the first sessions have timed out; 13:00 is still to come
+  const now = Date.parse(`${DATE}T12:15:00Z`);
+  assert.equal(await rollUpSessions(store, { now }), 2);
+  assert.deepEqual(await store.get(SESSION_ROLLUP_KEY, { type: 'json' }), { through: `${DATE}T11` });
+
+  const rebuilt = async () => {
+    const stats = await store.get(`stats/${DATE}`, { type: 'json' });
+    return Object.fromEntries(Object.entries(stats.hours).map(([hour, bucket]) => [hour, bucket.rebuiltSessions]));
+  };
+  assert.deepEqual(await rebuilt(), {
+    10: { count: 1, bounces: 0, duration: 30 * 60000, engagedTime: 30 * 60000 },
+    11: { count: 1, bounces: 1, duration: 0, engagedTime: 0 }
+  });
+
+  // Nothing new to roll up, and nothing counted twice
+  assert.equal(await rollUpSessions(store, { now }), 0);
+  assert.equal(await rollUpSessions(store, { now: Date.parse(`${DATE}T14:30:00Z`) }), 1);
+  assert.equal((await rebuilt())[13].count, 1);
+
+  const { days } = await readDailyBuckets(store, PERIOD);
+  assert.deepEqual(days[DATE].rebuiltSessions, { count: 3, bounces: 2, duration: 30 * 60000, engagedTime: 30 * 60000 });
+});
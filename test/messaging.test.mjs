@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { connectCard, connectGateway, PROTOCOL, PROTOCOL_VERSION } from '../messaging.mjs';
+
+const GATEWAY_ORIGIN = 'https://soil.example';
+const CARD_ORIGIN = 'https://cards.example';
+
+// Gateway window embedding one card iframe. postMessage follows the browser
+// rules that matter here: delivery is async, only when targetOrigin matches,
+// and the event carries the sender's origin and window.
+function createFrames({ cardOrigin = CARD_ORIGIN } = {}) {
+  const gateway = { host: new EventTarget(), origin: GATEWAY_ORIGIN };
+  const card = { host: new EventTarget(), origin: cardOrigin };
+
+  const deliver = (to, from) => (data, targetOrigin) => {
+    if (targetOrigin !== to.origin) return;
+    setImmediate(() => {
+      const event = new Event('message');
+      Object.assign(event, { data: structuredClone(data), origin: from.origin, source: from });
+      to.host.dispatchEvent(event);
+    });
+  };
+  gateway.postMessage = deliver(gateway, card);
+  card.postMessage = deliver(card, gateway);
+
+  return { gateway, card, iframe: { contentWindow: card } };
+}
+
+test('card and gateway exchange typed messages and replies', async () => {
+  const { gateway, card, iframe } = createFrames();
+  const port = connectCard(iframe, { origin: CARD_ORIGIN, host: gateway.host });
+  const client = connectGateway({ allowedOrigins: [GATEWAY_ORIGIN], host: card.host, parent: gateway });
+
+  const hovers = [];
+  port.onReady(({ node }) => ({ node, registered: true }));
+  port.onHover(hovering => hovers.push(hovering));
+
+  assert.deepEqual(await client.ready('voice'), { node: 'voice', registered: true });
+
+  const parentHover = new Promise(resolve => client.onParentHover(resolve));
+  port.setParentHover(true);
+  assert.equal(await parentHover, true);
+
+  client.hover(true);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(hovers, [true]);
+
+  port.close();
+  client.close();
+});
+
+test('drops messages from origins off the allow-list', async () => {
+  const { gateway, card, iframe } = createFrames({ cardOrigin: 'https://evil.example' });
+  const port = connectCard(iframe, { origin: CARD_ORIGIN, host: gateway.host });
+  const client = connectGateway({ allowedOrigins: [GATEWAY_ORIGIN], host: card.host, parent: gateway, timeoutMs: 50 });
+
+  let readyCalls = 0;
+  port.onReady(() => readyCalls++);
+
+  await assert.rejects(client.ready('voice'), /timed out/);
+  assert.equal(readyCalls, 0);
+
+  port.close();
+  client.close();
+});
+
+test('ignores envelopes from another protocol version', async () => {
+  const { gateway, card, iframe } = createFrames();
+  const port = connectCard(iframe, { origin: CARD_ORIGIN, host: gateway.host });
+
+  let pulses = 0;
+  port.onPulse(() => pulses++);
+
+  const envelope = { protocol: PROTOCOL, id: 'x1', type: 'IFRAME_PULSE', payload: {} };
+  gateway.postMessage({ ...envelope, version: PROTOCOL_VERSION + 1 }, GATEWAY_ORIGIN);
+  gateway.postMessage({ ...envelope, version: PROTOCOL_VERSION }, GATEWAY_ORIGIN);
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(pulses, 1);
+  port.close();
+});
+
+test('refuses effect requests outside the limits', async () => {
+  const { gateway, card, iframe } = createFrames();
+  const port = connectCard(iframe, { origin: CARD_ORIGIN, host: gateway.host });
+  const client = connectGateway({ allowedOrigins: [GATEWAY_ORIGIN], host: card.host, parent: gateway });
+
+  const played = [];
+  port.onEffect(({ glow }) => {
+    played.push(glow.color);
+    return { applied: true };
+  });
+
+  const glow = { color: '#c0c0c0', curve: [0, 1, 0], duration: 800 };
+  assert.deepEqual(await client.effect({ glow }), { applied: true });
+  await assert.rejects(client.effect({ glow: { ...glow, color: 'url(x)' } }), /Invalid glow color/);
+  await assert.rejects(client.effect({ glow: { ...glow, duration: 60000 } }), /Invalid glow duration/);
+  assert.deepEqual(played, ['#c0c0c0']);
+
+  port.close();
+  client.close();
+});
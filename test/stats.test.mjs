@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { attribute, MAX_HOUR_CAMPAIGNS, summarizeCampaigns } from '../netlify/lib/attribution.mjs';
+import { decodeSketch, estimateCardinality } from '../netlify/lib/hll.mjs';
+import { updateStats } from '../netlify/lib/stats.mjs';
+import { createMemoryStore } from '../netlify/lib/memory-store.mjs';
+import { makeEvent } from './helpers/events.mjs';
+
+const DATE = '2025-01-15';
+const TIME = `${DATE}T12:00:05Z`;
+
+test('concurrent updates keep exact totals', async () => {
+  const store = createMemoryStore();
+  const writers = [];
+
+  for (let i = 0; i < 40; i++) {
+    writers.push(updateStats(store, [makeEvent('page_view', TIME, { visitorHash: `v${i % 10}` })]));
+    writers.push(updateStats(store, [makeEvent('session_start', TIME)]));
+    writers.push(updateStats(store, [
+      makeEvent('card_hover_start', TIME, { card: 'voice' }),
+      makeEvent('card_hover_end', TIME, { card: 'voice', data: { duration: 250 } }),
+      makeEvent('card_click', TIME, { card: 'agent', client: { country: 'DE', referer: 'https://x.com/status/1' } })
+    ]));
+  }
+
+  await Promise.all(writers);
+
+  const stats = await store.get(`stats/${DATE}`, { type: 'json' });
+  assert.deepEqual(Object.keys(stats.hours), ['12']);
+
+  const bucket = stats.hours['12'];
+  assert.equal(bucket.events, 40 * 5);
+  assert.equal(bucket.pageViews, 40);
+  assert.equal(bucket.sessions, 40);
+  assert.equal(estimateCardinality(decodeSketch(bucket.visitors)), 10);
+  assert.equal(bucket.cardHovers.voice, 40);
+  assert.equal(bucket.cardHoverTime.voice, 40 * 250);
+  assert.equal(bucket.cardClicks.agent, 40);
+  assert.equal(bucket.countries.DE, 40);
+  assert.equal(bucket.referers['x.com'], 40);
+});
+
+test('gives up when the store keeps rejecting writes', async () => {
+  const store = createMemoryStore();
+  store.setJSON = async () => ({ modified: false });
+
+  await assert.rejects(updateStats(store, [makeEvent('page_view', TIME)]), /Could not update/);
+});
+
+test('attributes page views and clicks to utm campaigns, referrals or direct', async () => {
+  const own = ['https://site.test'];
+  assert.deepEqual(attribute({ utm_source: ' X ', utm_campaign: 'Launch|2' }, 'https://t.co/abc', own),
+    { source: 'x', medium: '(none)', campaign: 'launch2' });
+  assert.deepEqual(attribute({ referrer: 'https://pump.fun' }, 'https://site.test/', own),
+    { source: 'pump.fun', medium: 'referral', campaign: '(none)' });
+  assert.deepEqual(attribute({}, 'https://site.test/?utm_source=x', own),
+    { source: '(direct)', medium: '(none)', campaign: '(none)' });
+
+  const store = createMemoryStore();
+  const launch = { source: 'x', medium: 'social', campaign: 'launch' };
+  const events = [
+    makeEvent('page_view', TIME, { attribution: launch }),
+    makeEvent('card_click', TIME, { card: 'voice', attribution: launch }),
+    makeEvent('card_click', TIME, { card: 'voice', attribution: launch }),
+    ...Array.from({ length: MAX_HOUR_CAMPAIGNS + 5 }, (_, i) =>
+      makeEvent('page_view', TIME, { attribution: { source: `site${i}.example`, medium: 'referral', campaign: '(none)' } }))
+  ];
+  await updateStats(store, events);
+
+  const { campaigns } = (await store.get(`stats/${DATE}`, { type: 'json' })).hours['12'];
+  assert.equal(Object.keys(campaigns).length, MAX_HOUR_CAMPAIGNS + 1);
+  assert.equal(campaigns['(other)|(other)|(other)'].pageViews, 6);
+
+  assert.deepEqual(summarizeCampaigns(campaigns, 2), [
+    { source: '(other)', medium: '(other)', campaign: '(other)', pageViews: 6, clicks: 0, cardClicks: { voice: 0, value: 0, agent: 0 } },
+    { source: 'x', medium: 'social', campaign: 'launch', pageViews: 1, clicks: 2, cardClicks: { voice: 2, value: 0, agent: 0 } }
+  ]);
+});
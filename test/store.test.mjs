@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { increment } from '../netlify/lib/atomic.mjs';
+import { createFileStore } from '../netlify/lib/file-store.mjs';
+import { createMemoryStore } from '../netlify/lib/memory-store.mjs';
+import { openStore } from '../netlify/lib/store.mjs';
+
+const dir = await mkdtemp(path.join(tmpdir(), 'soil-store-'));
+
+test.after(() => rm(dir, { recursive: true, force: true }));
+
+// The offline adapters must behave alike, since either can stand in for Netlify Blobs
+const adapters = {
+  file: () => createFileStore(path.join(dir, String(Date.now()))),
+  memory: () => createMemoryStore({ pageSize: 2 })
+};
+
+for (const [name, create] of Object.entries(adapters)) {
+  test(`${name} adapter: conditional writes and listing`, async () => {
+    const store = create();
+
+    assert.equal(await store.get('a/1'), null);
+    const created = await store.setJSON('a/1', { n: 1 }, { onlyIfNew: true });
+    assert.equal(created.modified, true);
+    assert.equal((await store.setJSON('a/1', { n: 2 }, { onlyIfNew: true })).modified, false);
+
+    const { data, etag } = await store.getWithMetadata('a/1', { type: 'json' });
+    assert.deepEqual(data, { n: 1 });
+    assert.equal((await store.setJSON('a/1', { n: 3 }, { onlyIfMatch: '"stale"' })).modified, false);
+    assert.equal((await store.setJSON('a/1', { n: 3 }, { onlyIfMatch: etag })).modified, true);
+
+    await store.set('a/2', 'two');
+    await store.set('a/b/3', 'three');
+    assert.deepEqual((await store.list({ prefix: 'a/' })).blobs.map(b => b.key), ['a/1', 'a/2', 'a/b/3']);
+
+    const folded = await store.list({ prefix: 'a/', directories: true });
+    assert.deepEqual(folded.blobs.map(b => b.key), ['a/1', 'a/2']);
+    assert.deepEqual(folded.directories, ['a/b']);
+
+    const pages = [];
+    for await (const { blobs } of store.list({ prefix: 'a/', paginate: true })) pages.push(...blobs);
+    assert.equal(pages.length, 3);
+
+    await store.delete('a/2');
+    assert.equal(await store.get('a/2'), null);
+  });
+
+  test(`${name} adapter: concurrent increments are not lost`, async () => {
+    const store = create();
+    await Promise.all(Array.from({ length: 20 }, () => increment(store, 'counter')));
+    assert.equal(await increment(store, 'counter', 5), 25);
+  });
+}
+
+test('file adapter: keys cannot leave the store directory', async () => {
+  const root = path.join(dir, 'contained');
+  const store = createFileStore(path.join(root, 'store'));
+
+  for (const key of ['../outside', 'sessions/../../outside', 'a//b', './a', 'a/']) {
+    await assert.rejects(store.set(key, 'x'), { message: `Invalid store key: ${key}` });
+    await assert.rejects(store.get(key), { message: `Invalid store key: ${key}` });
+  }
+  await assert.rejects(store.list({ prefix: '../' }), { message: 'Invalid store key: ..' });
+
+  await store.set('a/b', 'inside');
+  assert.deepEqual(await readdir(root), ['store']);
+});
+
+test('SOIL_STORE selects the adapter', () => {
+  process.env.SOIL_STORE = 'memory';
+  assert.equal(openStore(), openStore());
+
+  process.env.SOIL_STORE = 'cloud';
+  assert.throws(() => openStore(), /Unknown SOIL_STORE "cloud"/);
+  delete process.env.SOIL_STORE;
+});
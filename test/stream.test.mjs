@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+const dir = await mkdtemp(path.join(tmpdir(), 'soil-store-'));
+process.env.SOIL_STORE = 'file';
+process.env.SOIL_FILE_STORE_DIR = dir;
+process.env.SOIL_ANALYTICS_TOKEN = 'test-token';
+process.env.SOIL_STREAM_SECONDS = '3';
+
+const { default: stream } = await import('../netlify/functions/analytics-stream.mjs');
+const { updateRollups } = await import('../netlify/lib/rollups.mjs');
+const { openStore } = await import('../netlify/lib/store.mjs');
+const { eventKey, makeEvent } = await import('./helpers/events.mjs');
+
+test.after(() => rm(dir, { recursive: true, force: true }));
+
+async function storeEvent(store, event, extra = {}) {
+  const record = makeEvent(event, Date.now(), extra);
+  const key = eventKey(record, Math.random().toString(36).slice(2, 11));
+  // Stored the way analytics-track does: the blob, then the realtime rollups
+  await store.setJSON(key, record);
+  await updateRollups(store, [{ key, event: record }]);
+  return key;
+}
+
+function openStream(headers = {}) {
+  return stream(new Request('http://site.test/.netlify/functions/analytics-stream', {
+    headers: { authorization: 'Bearer test-token', ...headers }
+  }));
+}
+
+// Parse a complete SSE body into { id, event, data } messages
+async function readMessages(res) {
+  const text = await res.text();
+  return text.split('\n\n').filter(block => block.includes('data:')).map(block => {
+    const fields = {};
+    block.split('\n').forEach(line => {
+      const [name, ...rest] = line.split(': ');
+      fields[name] = rest.join(': ');
+    });
+    return { id: fields.id, event: fields.event, data: JSON.parse(fields.data) };
+  });
+}
+
+test('requires a token', async () => {
+  const res = await stream(new Request('http://site.test/.netlify/functions/analytics-stream'));
+  assert.equal(res.status, 401);
+});
+
+test('snapshots the window, then pushes new events with rolling counts', async () => {
+  const store = openStore();
+  await storeEvent(store, 'page_view');
+  await storeEvent(store, 'page_view', { visitorHash: 'bot', bot: { reasons: ['bot_user_agent'] } });
+
+  const res = await openStream();
+  assert.equal(res.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+
+  setTimeout(() => storeEvent(store, 'card_click', { card: 'voice', visitorHash: 'v2' }), 500);
+  const messages = await readMessages(res);
+
+  const [snapshot] = messages;
+  assert.equal(snapshot.event, 'stats');
+  assert.equal(snapshot.data.activeVisitors, 1);
+  assert.equal(snapshot.data.pageViews, 1);
+
+  const pushed = messages.filter(m => m.event === 'analytics');
+  assert.deepEqual(pushed.map(m => m.data.event), ['card_click']);
+
+  const last = messages.at(-1);
+  assert.equal(last.event, 'stats');
+  assert.equal(last.data.activeVisitors, 2);
+  assert.equal(last.data.cardActivity.voice.clicks, 1);
+  assert.equal(last.id, pushed[0].id);
+});
+
+test('resumes after Last-Event-ID without repeating events', async () => {
+  const store = openStore();
+  const seenKey = await storeEvent(store, 'page_view', { visitorHash: 'v3' });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const missedKey = await storeEvent(store, 'session_start', { visitorHash: 'v3' });
+
+  const messages = await readMessages(await openStream({ 'last-event-id': seenKey }));
+  const pushed = messages.filter(m => m.event === 'analytics');
+
+  assert.deepEqual(pushed.map(m => m.id), [missedKey]);
+});